@@ -14,11 +14,12 @@ import {
   GetFunctionUrlConfigCommand,
   AddPermissionCommand
 } from "@aws-sdk/client-lambda";
-import { IAMClient, GetRoleCommand, CreateRoleCommand, AttachRolePolicyCommand } from "@aws-sdk/client-iam";
+import { IAMClient, GetRoleCommand, CreateRoleCommand, AttachRolePolicyCommand, PutRolePolicyCommand } from "@aws-sdk/client-iam";
 import * as fs from 'fs';
 import * as path from 'path';
 import { fileURLToPath } from 'url';
 import AdmZip from 'adm-zip';
+import { loadConfig, usesMysql, CONFIG_ENV_VARS, SECRET_ENV_VARS } from '../src/config.js';
 
 import util from 'util';
 const writeFileAsync = util.promisify(fs.writeFile);
@@ -31,18 +32,39 @@ export default class A2ADeployer {
    * Create an A2ADeployer.
    */
   constructor() {
-    // Read the config file
+    // Validate the repo's config.json as the Lambda will see it, so a bad one fails the deploy instead of the cold start
     const __filename = fileURLToPath(import.meta.url);
     const __dirname = path.dirname(__filename);
-    const configPath = path.join(__dirname, '../..', 'config.json')
-    const rawConfig = fs.readFileSync(configPath);
-    const config = JSON.parse(rawConfig);
+    const config = loadConfig(path.join(__dirname, '../..', 'config.json'));
 
     // Extract the function name and role name from the config
     this.FUNCTION_NAME = config.a2a.functionName;
     this.ROLE_NAME = config.a2a.roleName;
 
+    // RESPONSE_STREAM lets message/stream flush SSE events as they are produced
+    this.INVOKE_MODE = config.a2a.invokeMode || "BUFFERED";
+
     this.REGION = process.env.AWS_REGION || "us-east-1";
+
+    // Overrides set at deploy time are passed on to the function, except secrets:
+    // Lambda environment variables can be read by anyone allowed to see the function's configuration
+    this.ENVIRONMENT = Object.fromEntries(
+      CONFIG_ENV_VARS.filter(name => process.env[name] && !SECRET_ENV_VARS.includes(name)).map(name => [name, process.env[name]])
+    );
+
+    // Secrets Manager secret holding the DB credentials, the only way the function gets the DB password
+    if (usesMysql(config) && !config.datastore.secretId) {
+      throw new Error("The Lambda function uses MySQL: set datastore.secretId or HEALTHYLINKX_DB_SECRET_ID to the secret holding the DB credentials");
+    }
+
+    // Likewise for the API keys and JWT secret; a JWKS file is shipped in the zip
+    const auth = config.a2a.auth;
+    if ((auth?.apiKey || (auth?.jwt && !auth.jwt.jwksFile)) && !auth.secretId) {
+      throw new Error("The Lambda function authenticates requests: set a2a.auth.secretId or A2A_AUTH_SECRET_ID to the secret holding the API keys and JWT secret");
+    }
+
+    // Secrets the Lambda role must be able to read
+    this.SECRET_IDS = [config.datastore.secretId, auth?.secretId].filter(Boolean);
   }
 
   /**
@@ -106,6 +128,32 @@ export default class A2ADeployer {
     }));
   }
 
+  /**
+   * Lets the Lambda role read the secrets holding the DB credentials and the auth keys, when configured.
+   * @param {string} roleName - The name of the IAM role.
+   * @returns {Promise<void>}
+   */
+  async grantSecretAccess(roleName) {
+    if (this.SECRET_IDS.length === 0) {
+      return;
+    }
+
+    // A secret name matches its ARN, which ends with a random suffix
+    const resources = this.SECRET_IDS.map(secretId => secretId.startsWith("arn:")
+      ? secretId
+      : `arn:aws:secretsmanager:${this.REGION}:*:secret:${secretId}-*`);
+    const iam = new IAMClient({ region: this.REGION });
+    await iam.send(new PutRolePolicyCommand({
+      RoleName: roleName,
+      PolicyName: "a2a-secrets",
+      PolicyDocument: JSON.stringify({
+        Version: "2012-10-17",
+        Statement: [{ Effect: "Allow", Action: "secretsmanager:GetSecretValue", Resource: resources }]
+      })
+    }));
+    console.log("Secret access granted:", resources.join(", "));
+  }
+
   /**
    * Creates or updates the function URL for the Lambda.
    * @param {string} functionName - The name of the Lambda function.
@@ -123,6 +171,7 @@ export default class A2ADeployer {
       const updateFunctionUrlCommand = new UpdateFunctionUrlConfigCommand({
         FunctionName: functionName,
         AuthType: "NONE",
+        InvokeMode: this.INVOKE_MODE,
         Cors: {
           AllowCredentials: true,
           AllowHeaders: ["*"],
@@ -140,6 +189,7 @@ export default class A2ADeployer {
         const createFunctionUrlCommand = new CreateFunctionUrlConfigCommand({
           FunctionName: functionName,
           AuthType: "NONE",
+          InvokeMode: this.INVOKE_MODE,
           Cors: {
             AllowCredentials: true,
             AllowHeaders: ["*"],
@@ -224,6 +274,7 @@ export default class A2ADeployer {
     const zipBuffer = zip.toBuffer();
 
     const roleArn = await this.createLambdaRole();
+    await this.grantSecretAccess(this.ROLE_NAME);
 
     const lambda = new LambdaClient({ region: this.REGION });
     try {
@@ -234,7 +285,8 @@ export default class A2ADeployer {
         Handler: "index.handler",
         Code: { ZipFile: zipBuffer },
         Timeout: 30,
-        MemorySize: 128
+        MemorySize: 128,
+        Environment: { Variables: this.ENVIRONMENT }
       });
 
       await lambda.send(createFunctionCommand);
@@ -243,11 +295,11 @@ export default class A2ADeployer {
       if (error.name === "ResourceConflictException") {
         console.log("Lambda function already exists. Updating configuration and code...");
 
-        // Update configuration (handler, remove layers and env vars)
+        // Update configuration (handler, remove layers, env vars set to the deploy-time overrides)
         const updateConfigCommand = new UpdateFunctionConfigurationCommand({
           FunctionName: this.FUNCTION_NAME,
           Handler: "index.handler",
-          Environment: { Variables: {} },
+          Environment: { Variables: this.ENVIRONMENT },
           Layers: []
         });
         await lambda.send(updateConfigCommand);
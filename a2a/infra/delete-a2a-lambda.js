@@ -9,18 +9,18 @@ import {
   IAMClient,
   DeleteRoleCommand,
   DetachRolePolicyCommand,
-  ListAttachedRolePoliciesCommand
+  ListAttachedRolePoliciesCommand,
+  DeleteRolePolicyCommand,
+  ListRolePoliciesCommand
 } from "@aws-sdk/client-iam";
-import * as fs from 'fs';
 import * as path from 'path';
 import { fileURLToPath } from 'url';
+import { loadConfig } from '../src/config.js';
 
-// Read the config file
+// Function and role names from the repo's config.json
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const configPath = path.join(__dirname, '../..', 'config.json')
-const rawConfig = fs.readFileSync(configPath);
-const config = JSON.parse(rawConfig);
+const config = loadConfig(path.join(__dirname, '../..', 'config.json'));
 
 // Extract the function name and role name from the config
 const FUNCTION_NAME = config.a2a.functionName;
@@ -78,6 +78,13 @@ async function deleteRole(roleName) {
       console.log(`Detached policy ${policy.PolicyArn} from role ${roleName}`);
     }
 
+    // Inline policies, e.g. the access to the secrets, block the deletion too
+    const { PolicyNames } = await iam.send(new ListRolePoliciesCommand({ RoleName: roleName }));
+    for (const policyName of PolicyNames) {
+      await iam.send(new DeleteRolePolicyCommand({ RoleName: roleName, PolicyName: policyName }));
+      console.log(`Deleted inline policy ${policyName} of role ${roleName}`);
+    }
+
     const deleteRoleCommand = new DeleteRoleCommand({ RoleName: roleName });
     await iam.send(deleteRoleCommand);
     console.log(`Role ${roleName} deleted successfully`);
@@ -4,55 +4,189 @@
  * @module DoctorSearchExecutor
  */
 
-import { SearchDoctors } from './healthylinkx.js';
+import { SearchDoctors, GetProviders, ListSpecialties } from './healthylinkx.js';
+import { validateSearchParams, validateProviderLookup, validateSpecialtyListFilter } from './searchSchema.js';
+import { isShowMoreRequest, createNextPageToken, decodePageToken } from './pagination.js';
+import { SpecialtyResolver } from './specialtyResolver.js';
+import { RegexIntentExtractor } from './intentExtractor.js';
+import { parseDoctorQuery } from './queryParser.js';
+import { SKILLS, selectSkill, parseProviderQuery } from './skills.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('DoctorSearchExecutor');
+
+/**
+ * Most provider records returned by a provider-details lookup by name
+ */
+const MAX_PROVIDERS = 10;
+
+/**
+ * Merge newly parsed parameters over the ones gathered in earlier turns
+ * @param {object} [previous] - Parameters gathered so far
+ * @param {object} current - Parameters parsed from the latest message
+ * @returns {object} Merged parameters
+ */
+function mergeSearchParams(previous = {}, current) {
+  const merged = { ...previous };
+  for (const [key, value] of Object.entries(current)) {
+    if (value !== undefined) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Build the question asked when neither zipcode, city nor lastname is known,
+ * or a radius search has no zipcode to measure from
+ * @param {object} params - Parameters gathered so far
+ * @returns {string} Clarifying question
+ */
+function buildClarifyingQuestion(params) {
+  if (params.radius && !params.zipcode) {
+    return `Which zipcode should I measure the ${params.radius} mile distance from?`;
+  }
+
+  const known = describeSearchParams(params);
+  const question = 'Which zipcode, city or doctor\'s last name should I search for?';
+
+  return known
+    ? `I can look for doctors with ${known}, but I need a zipcode, a city or a last name to run the search. ${question}`
+    : `${question} You can also add a specialty or gender, e.g. "female doctors in 90210".`;
+}
 
 /**
- * Parse natural language message to extract search parameters
- * @param {string} message - Natural language search query
- * @returns {object} Parsed parameters
+ * Describe parsed search parameters for progress messages
+ * @param {object} params - Parsed search parameters
+ * @returns {string} Human-readable summary, e.g. "lastname Smith, zipcode 10001"
  */
-function parseSearchMessage(message) {
-  const lastnameMatch = message.match(/(?:named?|lastname|last name)\s+(\w+)/i);
-  const zipcodeMatch = message.match(/\b(\d{5})\b/);
-  const genderMatch = message.match(/\b(male|female)\b/i);
-  const specialtyMatch = message.match(/(?:specialty|specialization|type|field)\s+(\w+)/i);
-
-  return {
-    lastname: lastnameMatch?.[1],
-    zipcode: zipcodeMatch ? parseInt(zipcodeMatch[1]) : undefined,
-    gender: genderMatch?.[1]?.toLowerCase(),
-    specialty: specialtyMatch?.[1]
-  };
+function describeSearchParams(params) {
+  return Object.entries(params)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key} ${value}`)
+    .join(', ');
 }
 
 /**
  * Format doctor search results as human-readable text
- * @param {object} result - Search result with count, doctors, and query
+ * @param {object} result - Search result with count, total, offset, specialty, doctors, and query
  * @returns {string} Formatted text response
  */
 function formatDoctorResults(result) {
   if (result.count === 0) {
-    return 'No doctors found matching your search criteria.';
+    if (result.offset > 0) {
+      return 'There are no more doctors matching your search.';
+    }
+    return result.specialty?.matchedBy === 'none'
+      ? `No doctors found matching your search criteria. "${result.specialty.requested}" is not a known specialty; try a name like "family medicine" or "pediatrics".`
+      : 'No doctors found matching your search criteria.';
   }
 
-  let text = `Found ${result.count} doctor${result.count > 1 ? 's' : ''} matching your search:\n\n`;
+  let text = '';
+  for (const ambiguity of result.ambiguities || []) {
+    text += `Note: ${ambiguity}\n`;
+  }
+  if (result.specialty && result.specialty.matchedBy !== 'none') {
+    const { requested, classification } = result.specialty;
+    text += `Specialty "${requested}" matched to classification "${classification}".\n`;
+  }
+
+  text += `Found ${result.total} doctor${result.total > 1 ? 's' : ''}`;
+  if (result.query.radius) {
+    text += ` within ${result.query.radius} miles of ${result.query.zipcode}`;
+  }
+  text += ' matching your search';
+  text += result.count < result.total
+    ? ` (showing ${result.offset + 1}-${result.offset + result.count}):\n\n`
+    : ':\n\n';
 
   result.doctors.forEach((doc, index) => {
-    text += `${index + 1}. ${doc.name.trim()}\n`;
-    text += `   Address: ${doc.address.trim()}, ${doc.city.trim()}\n`;
-    text += `   Specialty: ${doc.classification}\n\n`;
+    text += `${result.offset + index + 1}. ${doc.name}\n`;
+    text += `   Address: ${doc.street}, ${doc.city}\n`;
+    text += `   Specialty: ${doc.classification}\n`;
+    if (doc.distance !== undefined) {
+      text += `   Distance: ${doc.distance} miles\n`;
+    }
+    text += '\n';
   });
 
+  if (result.nextPageToken) {
+    text += 'Say "show more" to see the next page.';
+  }
+
+  return text.trim();
+}
+
+/**
+ * Format provider records as human-readable text
+ * @param {object} result - Lookup result with lookup, count, more, and providers
+ * @returns {string} Formatted text response
+ */
+function formatProviderDetails(result) {
+  if (result.count === 0) {
+    return `No provider found with ${describeSearchParams(result.lookup)}.`;
+  }
+
+  let text = result.count > 1 ? `Found ${result.count} providers with ${describeSearchParams(result.lookup)}:\n\n` : '';
+  for (const provider of result.providers) {
+    text += `${provider.Provider_Full_Name} (NPI ${provider.NPI})\n`;
+    for (const [column, value] of Object.entries(provider)) {
+      if (column !== 'Provider_Full_Name' && column !== 'NPI' && value !== null && value !== '') {
+        text += `   ${column}: ${value}\n`;
+      }
+    }
+    text += '\n';
+  }
+
+  if (result.more) {
+    text += `Only the first ${result.count} are shown; add a first name or use the NPI to narrow the lookup.`;
+  }
+
+  return text.trim();
+}
+
+/**
+ * Format a specialty list as human-readable text
+ * @param {object} result - List with zipcode, count, and specialties
+ * @returns {string} Formatted text response
+ */
+function formatSpecialtyList(result) {
+  if (result.count === 0) {
+    return result.zipcode
+      ? `No doctors with a specialty found in ${result.zipcode}.`
+      : 'The specialty catalog is not available right now.';
+  }
+
+  let text = result.zipcode
+    ? `Doctors in ${result.zipcode} practice ${result.count} specialt${result.count > 1 ? 'ies' : 'y'}:\n`
+    : `${result.count} specialties are available:\n`;
+  for (const specialty of result.specialties) {
+    text += specialty.providers === undefined
+      ? `- ${specialty.classification}\n`
+      : `- ${specialty.classification} (${specialty.providers} doctor${specialty.providers > 1 ? 's' : ''})\n`;
+  }
+
   return text.trim();
 }
 
 /**
  * DoctorSearchExecutor implements the AgentExecutor interface from @a2a-js/sdk
- * Handles doctor search requests and returns formatted results
+ * Handles doctor search, provider details and specialty list requests and returns formatted results
  */
 export class DoctorSearchExecutor {
   /**
-   * Execute a doctor search based on the user message
+   * Create a doctor search executor
+   * @param {object} [options] - Executor dependencies
+   * @param {SpecialtyResolver} [options.specialtyResolver] - Maps free-text specialties onto classifications
+   * @param {object} [options.intentExtractor] - Extracts search parameters from text, the regex parser by default
+   */
+  constructor({ specialtyResolver = new SpecialtyResolver(), intentExtractor = new RegexIntentExtractor() } = {}) {
+    this.specialtyResolver = specialtyResolver;
+    this.intentExtractor = intentExtractor;
+  }
+
+  /**
+   * Execute the skill requested by the user message
    * @param {object} requestContext - A2A request context containing userMessage
    * @param {object} eventBus - Event bus for publishing task status updates
    * @returns {Promise<object>} Task result with status and response message
@@ -60,73 +194,335 @@ export class DoctorSearchExecutor {
   async execute(requestContext, eventBus) {
     const { userMessage, task } = requestContext;
 
-    console.log('[DoctorSearchExecutor] Starting execution for task:', task.id);
+    logger.debug('Starting execution');
 
     // Publish working status
-    if (eventBus) {
-      eventBus.publish({
-        type: 'task-status',
-        taskId: task.id,
-        status: { state: 'working' }
-      });
-    }
+    this.publishStatus(eventBus, task, 'working', 'Processing request');
 
     try {
       // Extract text from userMessage.parts
       const messageText = this.extractMessageText(userMessage);
-      console.log('[DoctorSearchExecutor] Extracted message text:', messageText);
-
-      // Parse search parameters
-      const searchParams = parseSearchMessage(messageText);
-      console.log('[DoctorSearchExecutor] Parsed search params:', JSON.stringify(searchParams));
-
-      // Validate required params
-      if (!searchParams.zipcode && !searchParams.lastname) {
-        console.log('[DoctorSearchExecutor] Missing required params');
-        return this.createErrorResult(
-          task,
-          'Missing required parameters. Please provide at least zipcode or lastname in your message.'
-        );
+      logger.debug('Extracted message text', { text: messageText });
+      const messageData = this.extractMessageData(userMessage);
+
+      // Route to the skill the client asked for, or the one the message reads like
+      const skill = selectSkill(requestContext, messageText, messageData);
+      task.metadata = { ...task.metadata, skill };
+      logger.info('Selected skill', { skill });
+
+      switch (skill) {
+        case SKILLS.PROVIDER_DETAILS:
+          return await this.executeProviderDetails(task, eventBus, messageText, messageData);
+        case SKILLS.LIST_SPECIALTIES:
+          return await this.executeListSpecialties(task, eventBus, messageText, messageData);
+        default:
+          return await this.executeSearch(requestContext, eventBus, messageText, messageData);
+      }
+    } catch (error) {
+      logger.error('Error during execution', { error });
+      return this.createErrorResult(task, 'Internal error while handling the request');
+    }
+  }
+
+  /**
+   * Search for doctors, the doctor-search skill
+   * @param {object} requestContext - A2A request context containing userMessage, task and previousTask
+   * @param {object} eventBus - Event bus for publishing task status updates
+   * @param {string} messageText - Text of the user message
+   * @param {object|null} messageData - Data of the user message's data parts
+   * @returns {Promise<object>} Task result with status and response message
+   */
+  async executeSearch(requestContext, eventBus, messageText, messageData) {
+    const { task } = requestContext;
+
+    // Structured parameters from data parts are used as given, over anything parsed from text
+    let dataParams = {};
+    if (messageData) {
+      const { params, errors } = validateSearchParams(messageData);
+      if (errors) {
+        logger.info('Invalid structured params', { errors });
+        return this.createErrorResult(task, `Invalid search parameters: ${errors.join('; ')}`);
+      }
+      dataParams = params;
+    }
+    const { pageToken, pageSize, ...structuredParams } = dataParams;
+
+    let searchParams;
+    let page = { limit: pageSize, offset: 0 };
+    let parsed;
+
+    const hasSearchFields = Object.keys(structuredParams).length > 0;
+    if (pageToken || (!hasSearchFields && isShowMoreRequest(messageText))) {
+      // Next page of an earlier search, from an explicit token or the previous task in this context
+      const token = pageToken || requestContext.previousTask?.metadata?.nextPageToken;
+      if (!token) {
+        logger.debug('No further page to show');
+        return this.createSuccessResult(task, 'There are no more results to show. Start a new search with a zipcode, city or last name.');
+      }
+
+      const continuation = decodePageToken(token);
+      if (!continuation) {
+        return this.createErrorResult(task, 'Invalid page token. Start a new search to get a fresh one.');
+      }
+      searchParams = continuation.params;
+      page = { ...continuation.page, limit: pageSize || continuation.page.limit };
+      task.metadata = { ...task.metadata, searchParams };
+    } else {
+      // Parse search parameters, merged with the ones gathered in earlier turns
+      const awaitingInput = task.status.state === 'input-required';
+      parsed = await this.intentExtractor.extract(messageText, { followUp: awaitingInput });
+      if (!parsed.params.specialty && messageText) {
+        // Specialties are usually mentioned without a keyword, e.g. "cardiologists in 98052"
+        const specialty = await this.specialtyResolver.findInText(messageText);
+        if (specialty) {
+          parsed.params.specialty = specialty;
+          parsed.interpretation.push({ field: 'specialty', value: specialty, text: specialty });
+        }
+      }
+      logger.debug('Parsed message', { parsed });
+
+      searchParams = mergeSearchParams(task.metadata?.searchParams, mergeSearchParams(parsed.params, structuredParams));
+      task.metadata = { ...task.metadata, searchParams };
+
+      // Ask for the missing required params instead of failing
+      if ((!searchParams.zipcode && !searchParams.lastname && !searchParams.city) || (searchParams.radius && !searchParams.zipcode)) {
+        logger.info('Missing required params, asking for input');
+        return this.createInputRequiredResult(task, buildClarifyingQuestion(searchParams));
+      }
+    }
+    logger.debug('Search params', { searchParams, page });
+
+    // Map the specialty onto a classification stored in npidata2
+    let specialtyMatch;
+    const filters = { ...searchParams };
+    if (searchParams.specialty) {
+      specialtyMatch = await this.specialtyResolver.resolve(searchParams.specialty);
+      logger.debug('Specialty resolution', { specialtyMatch });
+      if (specialtyMatch) {
+        filters.specialty = specialtyMatch.classification;
+      }
+    }
+
+    // Let streaming clients know how the query was interpreted before the slow datastore call
+    this.publishStatus(eventBus, task, 'working', `Searching for doctors with ${describeSearchParams(filters)}`);
+
+    // Execute search; metadata.noCache on the message asks for fresh results instead of cached ones
+    const bypassCache = requestContext.userMessage?.metadata?.noCache === true;
+    const result = await SearchDoctors(filters, page, { bypassCache });
+    logger.debug('SearchDoctors returned', { statusCode: result.statusCode });
+
+    // Handle errors from SearchDoctors
+    if (result.statusCode !== 200) {
+      logger.warn('SearchDoctors returned error', { statusCode: result.statusCode });
+      return this.createErrorResult(task, result.result);
+    }
+
+    // Format successful response
+    const { rows, total, limit, offset, cache } = result.result;
+    const doctors = rows.map(row => ({
+      name: row.Provider_Full_Name?.trim(),
+      street: row.Provider_Full_Street?.trim(),
+      city: row.Provider_Full_City?.trim(),
+      classification: row.Classification?.trim(),
+      // miles from the center of a radius search
+      distance: row.Distance === undefined ? undefined : Math.round(Number(row.Distance) * 10) / 10
+    }));
+
+    const nextPageToken = createNextPageToken(searchParams, { limit, offset, total });
+    task.metadata = { ...task.metadata, nextPageToken };
+
+    const searchResult = {
+      count: doctors.length,
+      total: total,
+      offset: offset,
+      nextPageToken: nextPageToken,
+      doctors: doctors,
+      query: searchParams,
+      specialty: this.describeSpecialtyMatch(searchParams.specialty, specialtyMatch),
+      interpretation: parsed?.interpretation,
+      ambiguities: parsed?.ambiguities,
+      extractedBy: parsed?.extractedBy,
+      cache: cache
+    };
+    const formattedText = formatDoctorResults(searchResult);
+    const artifact = this.createResultsArtifact(searchResult);
+
+    this.publishArtifact(eventBus, task, artifact);
+
+    logger.info('Returning doctors', { count: doctors.length, total });
+
+    return this.createSuccessResult(task, formattedText, [artifact]);
+  }
+
+  /**
+   * Look up the full records of a provider by NPI or name, the provider-details skill
+   * @param {object} task - The task being executed
+   * @param {object} eventBus - Event bus for publishing task status updates
+   * @param {string} messageText - Text of the user message
+   * @param {object|null} messageData - Data of the user message's data parts
+   * @returns {Promise<object>} Task result with status and response message
+   */
+  async executeProviderDetails(task, eventBus, messageText, messageData) {
+    let lookup;
+    if (messageData) {
+      const { params, errors } = validateProviderLookup(messageData);
+      if (errors) {
+        logger.info('Invalid provider lookup', { errors });
+        return this.createErrorResult(task, `Invalid provider lookup: ${errors.join('; ')}`);
       }
+      lookup = params;
+    } else {
+      lookup = parseProviderQuery(messageText, { followUp: task.status.state === 'input-required' });
+    }
 
-      // Execute search
-      console.log('[DoctorSearchExecutor] Calling SearchDoctors');
-      const result = await SearchDoctors(
-        searchParams.gender,
-        searchParams.lastname,
-        searchParams.specialty,
-        searchParams.zipcode
-      );
-      console.log('[DoctorSearchExecutor] SearchDoctors returned:', result.statusCode);
-
-      // Handle errors from SearchDoctors
+    if (!lookup.npi && !lookup.lastname) {
+      logger.info('No provider identified, asking for input');
+      return this.createInputRequiredResult(task, 'Which provider should I look up? Give an NPI or the doctor\'s first and last name.');
+    }
+
+    this.publishStatus(eventBus, task, 'working', `Looking up provider with ${describeSearchParams(lookup)}`);
+
+    // One extra record tells whether there are more than shown
+    const result = await GetProviders(lookup, MAX_PROVIDERS + 1);
+    if (result.statusCode !== 200) {
+      logger.warn('GetProviders returned error', { statusCode: result.statusCode });
+      return this.createErrorResult(task, result.result);
+    }
+
+    const providers = result.result.slice(0, MAX_PROVIDERS).map(row =>
+      Object.fromEntries(Object.entries(row).map(([column, value]) =>
+        [column, typeof value === 'string' ? value.trim() : value]
+      ))
+    );
+    const details = {
+      lookup,
+      count: providers.length,
+      more: result.result.length > MAX_PROVIDERS,
+      providers
+    };
+
+    const artifact = this.createDataArtifact('provider-details', 'Full npidata2 records of the provider', details);
+    this.publishArtifact(eventBus, task, artifact);
+
+    logger.info('Returning provider records', { count: providers.length });
+    return this.createSuccessResult(task, formatProviderDetails(details), [artifact]);
+  }
+
+  /**
+   * List the specialties (classifications) available, optionally in a zipcode, the list-specialties skill
+   * @param {object} task - The task being executed
+   * @param {object} eventBus - Event bus for publishing task status updates
+   * @param {string} messageText - Text of the user message
+   * @param {object|null} messageData - Data of the user message's data parts
+   * @returns {Promise<object>} Task result with status and response message
+   */
+  async executeListSpecialties(task, eventBus, messageText, messageData) {
+    let zipcode;
+    if (messageData) {
+      const { params, errors } = validateSpecialtyListFilter(messageData);
+      if (errors) {
+        logger.info('Invalid specialty list filter', { errors });
+        return this.createErrorResult(task, `Invalid specialty list filter: ${errors.join('; ')}`);
+      }
+      zipcode = params.zipcode;
+    } else {
+      zipcode = parseDoctorQuery(messageText).params.zipcode;
+    }
+
+    this.publishStatus(eventBus, task, 'working', zipcode ? `Listing specialties in ${zipcode}` : 'Listing specialties');
+
+    let specialties;
+    if (zipcode) {
+      const result = await ListSpecialties(zipcode);
       if (result.statusCode !== 200) {
-        console.log('[DoctorSearchExecutor] SearchDoctors returned error');
+        logger.warn('ListSpecialties returned error', { statusCode: result.statusCode });
         return this.createErrorResult(task, result.result);
       }
-
-      // Format successful response
-      const doctors = result.result.map(row => ({
-        name: row.Provider_Full_Name,
-        address: row.Provider_Full_Street,
-        city: row.Provider_Full_City,
-        classification: row.Classification
+      specialties = result.result.map(row => ({
+        classification: row.Classification.trim(),
+        providers: Number(row.Providers)
       }));
+    } else {
+      // The whole catalog is the taxonomy the specialty resolver already caches
+      const catalog = await this.specialtyResolver.getCatalog();
+      specialties = [...catalog.classifications.values()]
+        .map(entry => ({ classification: entry.classification }))
+        .sort((a, b) => a.classification.localeCompare(b.classification));
+    }
 
-      const formattedText = formatDoctorResults({
-        count: doctors.length,
-        doctors: doctors,
-        query: searchParams
-      });
+    const list = { zipcode, count: specialties.length, specialties };
+    const artifact = this.createDataArtifact('specialty-list', 'Specialties (classifications) available', list);
+    this.publishArtifact(eventBus, task, artifact);
 
-      console.log('[DoctorSearchExecutor] Returning success with', doctors.length, 'doctors');
+    logger.info('Returning specialties', { count: specialties.length });
+    return this.createSuccessResult(task, formatSpecialtyList(list), [artifact]);
+  }
 
-      return this.createSuccessResult(task, formattedText);
+  /**
+   * Describe how the requested specialty was interpreted, for the response
+   * @param {string} [requested] - Specialty as requested by the user
+   * @param {object|null} [match] - Result of SpecialtyResolver.resolve
+   * @returns {object|undefined} { requested, classification, matchedBy }, undefined without a specialty
+   */
+  describeSpecialtyMatch(requested, match) {
+    if (!requested) {
+      return undefined;
+    }
+    if (!match) {
+      // Searched as written, which only finds exact classification names
+      return { requested, classification: requested, matchedBy: 'none' };
+    }
+    // npidata2 only has the classification, so a matched specialization doesn't narrow the search
+    return { requested, classification: match.classification, matchedBy: match.matchedBy };
+  }
 
-    } catch (error) {
-      console.error('[DoctorSearchExecutor] Error during execution:', error.message);
-      return this.createErrorResult(task, 'Internal error during doctor search');
+  /**
+   * Publish an intermediate status update to the event bus, if any
+   * @param {object} eventBus - Event bus for publishing task status updates
+   * @param {object} task - The task being executed
+   * @param {string} state - Task state to report
+   * @param {string} text - Progress text shown to the client
+   */
+  publishStatus(eventBus, task, state, text) {
+    if (!eventBus) {
+      return;
     }
+
+    eventBus.publish({
+      kind: 'status-update',
+      taskId: task.id,
+      contextId: task.contextId,
+      status: {
+        state: state,
+        message: this.createAgentMessage(task, text),
+        timestamp: new Date().toISOString()
+      },
+      final: false
+    });
+  }
+
+  /**
+   * Create an agent message with a single text part
+   * @param {object} task - The task the message belongs to
+   * @param {string} text - Message text
+   * @returns {object} A2A Message object
+   */
+  createAgentMessage(task, text) {
+    const messageId = `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+    return {
+      kind: 'message',
+      messageId: messageId,
+      role: 'agent',
+      taskId: task.id,
+      contextId: task.contextId,
+      parts: [
+        {
+          kind: 'text',
+          text: text
+        }
+      ]
+    };
   }
 
   /**
@@ -145,32 +541,129 @@ export class DoctorSearchExecutor {
       .join(' ');
   }
 
+  /**
+   * Extract structured search parameters from a user message's data parts
+   * @param {object} userMessage - A2A Message object with parts array
+   * @returns {object|null} Combined data from all data parts, or null if there are none
+   */
+  extractMessageData(userMessage) {
+    if (!userMessage || !userMessage.parts || !Array.isArray(userMessage.parts)) {
+      return null;
+    }
+
+    const dataParts = userMessage.parts.filter(part =>
+      part.kind === 'data' && part.data && typeof part.data === 'object' && !Array.isArray(part.data)
+    );
+    if (dataParts.length === 0) {
+      return null;
+    }
+
+    return Object.assign({}, ...dataParts.map(part => part.data));
+  }
+
+  /**
+   * Create the artifact holding the structured search results
+   * Schema of the data part: { query: {gender, lastname, firstname, specialty, zipcode, city, state, radius}, count, total,
+   * offset, nextPageToken (absent on the last page), specialty: {requested, classification, matchedBy}
+   * (only when a specialty was requested), interpretation: [{field, value, text}], ambiguities: [string] and
+   * extractedBy: "regex"|"llm" (only when parsed from text), cache: {hit, cachedAt (only on hits)},
+   * doctors: [{name, street, city, classification, distance (miles, radius searches only)}] }
+   * @param {object} searchResult - Search result with count, total, offset, nextPageToken, doctors, and query
+   * @returns {object} A2A Artifact with a single data part
+   */
+  createResultsArtifact(searchResult) {
+    return this.createDataArtifact('doctor-search-results', 'Doctors matching the search, as structured data', searchResult);
+  }
+
+  /**
+   * Create an artifact with a single data part
+   * @param {string} name - Artifact name
+   * @param {string} description - Artifact description
+   * @param {object} data - Structured data
+   * @returns {object} A2A Artifact
+   */
+  createDataArtifact(name, description, data) {
+    return {
+      artifactId: `artifact-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      name: name,
+      description: description,
+      parts: [
+        {
+          kind: 'data',
+          data: data
+        }
+      ]
+    };
+  }
+
+  /**
+   * Publish an artifact to the event bus, if any, so streaming clients get it before the final status
+   * @param {object} eventBus - Event bus for publishing task updates
+   * @param {object} task - The task being executed
+   * @param {object} artifact - A2A Artifact
+   */
+  publishArtifact(eventBus, task, artifact) {
+    if (!eventBus) {
+      return;
+    }
+
+    eventBus.publish({
+      kind: 'artifact-update',
+      taskId: task.id,
+      contextId: task.contextId,
+      artifact: artifact,
+      lastChunk: true
+    });
+  }
+
   /**
    * Create a successful task result
    * @param {object} task - The task being executed
    * @param {string} responseText - The text response to include
+   * @param {Array<object>} [artifacts] - Artifacts produced by the task
    * @returns {object} Task object with completed status and response
    */
-  createSuccessResult(task, responseText) {
-    const messageId = `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  createSuccessResult(task, responseText, artifacts) {
+    return {
+      kind: 'task',
+      id: task.id,
+      contextId: task.contextId,
+      status: {
+        state: 'completed',
+        timestamp: new Date().toISOString()
+      },
+      artifacts: artifacts,
+      history: [
+        ...(task.history || []),
+        this.createAgentMessage(task, responseText)
+      ],
+      metadata: task.metadata
+    };
+  }
+
+  /**
+   * Create a task result waiting for more input from the user
+   * @param {object} task - The task being executed
+   * @param {string} question - Clarifying question for the user
+   * @returns {object} Task object with input-required status
+   */
+  createInputRequiredResult(task, question) {
+    const message = this.createAgentMessage(task, question);
 
     return {
+      kind: 'task',
       id: task.id,
       contextId: task.contextId,
-      status: { state: 'completed' },
+      status: {
+        state: 'input-required',
+        message: message,
+        timestamp: new Date().toISOString()
+      },
       history: [
         ...(task.history || []),
-        {
-          messageId: messageId,
-          role: 'agent',
-          parts: [
-            {
-              kind: 'text',
-              text: responseText
-            }
-          ]
-        }
-      ]
+        message
+      ],
+      metadata: task.metadata
     };
   }
 
@@ -181,9 +674,8 @@ export class DoctorSearchExecutor {
    * @returns {object} Task object with failed status
    */
   createErrorResult(task, errorMessage) {
-    const messageId = `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-
     return {
+      kind: 'task',
       id: task.id,
       contextId: task.contextId,
       status: {
@@ -191,21 +683,14 @@ export class DoctorSearchExecutor {
         error: {
           code: -32000,
           message: errorMessage
-        }
+        },
+        timestamp: new Date().toISOString()
       },
       history: [
         ...(task.history || []),
-        {
-          messageId: messageId,
-          role: 'agent',
-          parts: [
-            {
-              kind: 'text',
-              text: `Error: ${errorMessage}`
-            }
-          ]
-        }
-      ]
+        this.createAgentMessage(task, `Error: ${errorMessage}`)
+      ],
+      metadata: task.metadata
     };
   }
 }
@@ -7,35 +7,129 @@
  * Create an agent card for the HealthyLinkx Doctor Search Agent
  * @param {string} baseUrl - The base URL for the agent
  * @param {object} config - Configuration object with a2a settings
+ * @param {object} [authenticator] - RequestAuthenticator whose schemes are declared in the card
+ * @param {object} [options] - Card options
+ * @param {boolean} [options.responseStreaming=true] - Whether the handler replies before its work is done;
+ *   buffered handlers don't offer push notifications
  * @returns {object} Agent card object conforming to A2A specification
  */
-export function createAgentCard(baseUrl, config) {
-  return {
+export function createAgentCard(baseUrl, config, authenticator, options = {}) {
+  const card = {
     name: config.a2a.agentName,
-    description: 'Search for doctors in the HealthyLinkx directory using natural language queries. Supports filtering by name, zipcode, specialty, and gender.',
+    description: 'Search for doctors in the HealthyLinkx directory using natural language queries. Supports filtering by name, zipcode, specialty, and gender, provider lookup by NPI, and listing specialties.',
     url: `${baseUrl}/a2a`,
     version: config.a2a.agentVersion,
     capabilities: {
-      streaming: false,
-      pushNotifications: false,
+      streaming: true,
+      pushNotifications: options.responseStreaming ?? true,
       stateTransitionHistory: true
     },
-    defaultInputModes: ['text'],
-    defaultOutputModes: ['text'],
+    defaultInputModes: ['text', 'application/json'],
+    defaultOutputModes: ['text', 'application/json'],
     skills: [
       {
         id: 'doctor-search',
         name: 'Doctor Search',
-        description: 'Search for doctors by name, zipcode, specialty, or gender',
+        description: 'Search for doctors by first and last name, zipcode (ZIP+4 accepted), city and state, specialty, or gender. ' +
+          'Specialties may be lay terms ("heart doctor", "pediatricians"); the classification they were matched to is reported back. ' +
+          'Accepts natural language text, or an application/json data part with the exact fields: ' +
+          '{ "gender": "male"|"female", "lastname", "firstname", "specialty", "zipcode": 5 digits or ZIP+4, "city", "state": 2-letter code, "radius": miles around zipcode (max 100) } ' +
+          '(all optional, at least zipcode, city or lastname required), plus "pageSize" (1-100) and "pageToken" for paging. ' +
+          'Repeated searches may be answered from a cache of a few minutes; set "noCache": true in the message metadata to bypass it. ' +
+          'Results are returned as text and as a "doctor-search-results" artifact with an application/json data part: ' +
+          '{ "query": { the search fields used }, "count": number, "total": number, "offset": number, ' +
+          '"nextPageToken": string (absent on the last page), ' +
+          '"specialty": { "requested", "classification", "matchedBy" } (when a specialty was requested), ' +
+          '"interpretation": [{ "field", "value", "text" }] and "ambiguities": [string] (when parsed from text), ' +
+          '"cache": { "hit": boolean, "cachedAt": ISO timestamp (hits only) }, ' +
+          '"doctors": [{ "name", "street", "city", "classification", "distance" (miles, radius searches only) }] }',
         tags: ['healthcare', 'doctor', 'search', 'medical'],
-        inputModes: ['text'],
-        outputModes: ['text'],
+        inputModes: ['text', 'application/json'],
+        outputModes: ['text', 'application/json'],
         examples: [
           'Find doctors named Smith in 10001',
           'Search for female cardiologist named Johnson in 90210',
-          'Find doctors in zipcode 12345'
+          'Find doctors in zipcode 12345',
+          'Dr. Maria Lopez in Seattle, WA',
+          'Female family medicine doctors in 98052-1234',
+          'Pediatricians within 5 miles of 90210',
+          'Show more'
+        ]
+      },
+      {
+        id: 'provider-details',
+        name: 'Provider Details',
+        description: 'Return the full NPI registry (npidata2) record of a provider, by NPI or by name. ' +
+          'Accepts natural language text, or an application/json data part: { "npi": 10 digits } or { "lastname", "firstname" }. ' +
+          'Lookups by name return up to 10 providers. ' +
+          'Results are returned as text and as a "provider-details" artifact with an application/json data part: ' +
+          '{ "lookup": { the NPI or name used }, "count": number, "more": boolean (more providers match than shown), ' +
+          '"providers": [{ every npidata2 column, e.g. "NPI", "Provider_Full_Name", "Classification" }] }',
+        tags: ['healthcare', 'doctor', 'provider', 'npi'],
+        inputModes: ['text', 'application/json'],
+        outputModes: ['text', 'application/json'],
+        examples: [
+          'NPI 1234567890',
+          'Details for Dr. Maria Lopez'
+        ]
+      },
+      {
+        id: 'list-specialties',
+        name: 'List Specialties',
+        description: 'List the specialties (provider classifications) that can be searched, or those of the doctors in a zipcode. ' +
+          'Accepts natural language text, or an application/json data part: { "zipcode": 5 digits or ZIP+4 } (optional). ' +
+          'Results are returned as text and as a "specialty-list" artifact with an application/json data part: ' +
+          '{ "zipcode": string (when filtered), "count": number, ' +
+          '"specialties": [{ "classification", "providers": number of doctors (when filtered by zipcode) }] }',
+        tags: ['healthcare', 'specialty', 'taxonomy'],
+        inputModes: ['text', 'application/json'],
+        outputModes: ['text', 'application/json'],
+        examples: [
+          'List all specialties',
+          'Which specialties are available in 98052?'
         ]
       }
     ]
   };
+
+  // Clients may authenticate with any one of the configured schemes
+  if (authenticator?.isEnabled()) {
+    card.securitySchemes = authenticator.securitySchemes();
+    card.security = authenticator.security();
+  }
+  card.supportsAuthenticatedExtendedCard = Boolean(authenticator?.isEnabled());
+
+  return card;
+}
+
+/**
+ * Create the extended agent card returned to authenticated clients by agent/getAuthenticatedExtendedCard
+ * It adds the rate limits and daily quota that apply to the client, as a card extension
+ * @param {object} agentCard - Public agent card
+ * @param {string} client - Client key, e.g. "apikey:inspector"
+ * @param {object} limits - The client's requestsPerSecond, burst and dailyQuota
+ * @returns {object} Extended agent card
+ */
+export function createExtendedAgentCard(agentCard, client, limits) {
+  return {
+    ...agentCard,
+    capabilities: {
+      ...agentCard.capabilities,
+      extensions: [
+        ...(agentCard.capabilities.extensions || []),
+        {
+          uri: 'https://github.com/mulargui/healthylinkx-a2a-server/extensions/rate-limits',
+          description: 'Rate limit and daily quota of the authenticated client; requests over them get HTTP 429 ' +
+            'and JSON-RPC error -32029 with retryAfterSeconds',
+          required: false,
+          params: {
+            client,
+            requestsPerSecond: limits.requestsPerSecond ?? null,
+            burst: limits.burst ?? limits.requestsPerSecond ?? null,
+            dailyQuota: limits.dailyQuota ?? null
+          }
+        }
+      ]
+    }
+  };
 }
@@ -0,0 +1,365 @@
+/**
+ * Authentication of A2A requests
+ * Static API keys and bearer JWTs (HMAC secret or JWKS file), verified with node:crypto
+ * @module auth
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Auth');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Hash and key type behind each supported JWT algorithm
+ */
+const JWT_ALGORITHMS = {
+  HS256: { hash: 'sha256', kty: 'oct' },
+  HS384: { hash: 'sha384', kty: 'oct' },
+  HS512: { hash: 'sha512', kty: 'oct' },
+  RS256: { hash: 'sha256', kty: 'RSA' },
+  RS384: { hash: 'sha384', kty: 'RSA' },
+  RS512: { hash: 'sha512', kty: 'RSA' },
+  ES256: { hash: 'sha256', kty: 'EC' },
+  ES384: { hash: 'sha384', kty: 'EC' },
+  ES512: { hash: 'sha512', kty: 'EC' }
+};
+
+/**
+ * Authenticator interface implemented by every scheme:
+ * - authenticate(headers): { principal } on success, { error } for invalid credentials,
+ *   or null when the request carries no credentials for this scheme
+ * - securityScheme(): the agent card entry describing the scheme
+ * - challenge(): the WWW-Authenticate value asking for the scheme
+ * @typedef {object} Authenticator
+ */
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Decode a base64url JWT segment as JSON
+ * @param {string} segment - Encoded segment
+ * @returns {object} Decoded object
+ * @throws {Error} If the segment is not a JSON object
+ */
+function decodeSegment(segment) {
+  const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('not a JSON object');
+  }
+  return value;
+}
+
+/**
+ * ApiKeyAuthenticator accepts requests carrying one of the configured keys in a header
+ */
+export class ApiKeyAuthenticator {
+  /**
+   * Create an API key authenticator
+   * @param {object} options - config.a2a.auth.apiKey
+   * @param {string} [options.header=X-API-Key] - Header carrying the key
+   * @param {Array<{name: string, key: string}>} options.keys - Accepted keys, named after their client
+   */
+  constructor(options = {}) {
+    this.header = options.header || 'X-API-Key';
+    this.keys = (options.keys || []).filter(entry => entry.key);
+    if (this.keys.length === 0) {
+      throw new Error('The apiKey authenticator needs at least one key');
+    }
+  }
+
+  /**
+   * Check the API key of a request
+   * @param {object} headers - Request headers, lowercase names
+   * @returns {{principal: string}|{error: string}|null} Result, null without a key
+   */
+  authenticate(headers) {
+    const key = headers[this.header.toLowerCase()];
+    if (!key) {
+      return null;
+    }
+
+    // Check every key so that timing doesn't tell which one came close
+    const match = this.keys.reduce((found, entry) => (safeEqual(key, entry.key) ? entry : found), null);
+    return match ? { principal: `apikey:${match.name}` } : { error: 'Invalid API key' };
+  }
+
+  /**
+   * @returns {object} OpenAPI apiKey security scheme
+   */
+  securityScheme() {
+    return { type: 'apiKey', in: 'header', name: this.header, description: 'Static API key' };
+  }
+
+  /**
+   * @returns {string} WWW-Authenticate challenge
+   */
+  challenge() {
+    return `ApiKey header="${this.header}"`;
+  }
+}
+
+/**
+ * JwtAuthenticator accepts bearer JWTs signed with a shared secret (HS*) or a key from a JWKS file (RS*, ES*)
+ */
+export class JwtAuthenticator {
+  /**
+   * Create a JWT authenticator
+   * @param {object} options - config.a2a.auth.jwt
+   * @param {string} [options.secret] - Shared secret for HS256/384/512
+   * @param {string} [options.jwksFile] - JWKS file with public keys, relative to a2a/src
+   * @param {string[]} [options.algorithms] - Accepted algorithms, HS256 with a secret and RS256/ES256 with a JWKS by default
+   * @param {string} [options.issuer] - Required iss claim
+   * @param {string} [options.audience] - Required aud claim
+   * @param {number} [options.clockToleranceSeconds=60] - Allowed clock skew for exp and nbf
+   * @param {boolean} [options.requireExp=true] - Reject tokens without an exp claim, which would never expire
+   */
+  constructor(options = {}) {
+    if (!options.secret && !options.jwksFile) {
+      throw new Error('The jwt authenticator needs a secret or a jwksFile');
+    }
+    this.secret = options.secret;
+    this.jwks = options.jwksFile
+      ? JSON.parse(fs.readFileSync(path.resolve(__dirname, options.jwksFile), 'utf8')).keys || []
+      : [];
+    this.algorithms = options.algorithms || [
+      ...(options.secret ? ['HS256'] : []),
+      ...(options.jwksFile ? ['RS256', 'ES256'] : [])
+    ];
+    this.issuer = options.issuer;
+    this.audience = options.audience;
+    this.clockTolerance = options.clockToleranceSeconds ?? 60;
+    this.requireExp = options.requireExp ?? true;
+  }
+
+  /**
+   * Check the bearer token of a request
+   * @param {object} headers - Request headers, lowercase names
+   * @returns {{principal: string, claims: object}|{error: string}|null} Result, null without a bearer token
+   */
+  authenticate(headers) {
+    const match = (headers['authorization'] || '').match(/^Bearer\s+(\S+)$/i);
+    if (!match) {
+      return null;
+    }
+
+    try {
+      const claims = this.verify(match[1]);
+      return { principal: `jwt:${claims.sub || 'anonymous'}`, claims };
+    } catch (error) {
+      logger.info('Rejected token', { reason: error.message });
+      return { error: `Invalid token: ${error.message}` };
+    }
+  }
+
+  /**
+   * Verify a JWT's signature and claims
+   * @param {string} token - Compact JWT
+   * @returns {object} Verified claims
+   * @throws {Error} If the token is malformed, badly signed, expired or for someone else
+   */
+  verify(token) {
+    const segments = token.split('.');
+    if (segments.length !== 3) {
+      throw new Error('malformed token');
+    }
+
+    let header;
+    let claims;
+    try {
+      header = decodeSegment(segments[0]);
+      claims = decodeSegment(segments[1]);
+    } catch {
+      throw new Error('malformed token');
+    }
+
+    // The algorithm must be one we accept, which also rules out "none"
+    const algorithm = JWT_ALGORITHMS[header.alg];
+    if (!algorithm || !this.algorithms.includes(header.alg)) {
+      throw new Error(`algorithm ${header.alg} not accepted`);
+    }
+
+    const signingInput = Buffer.from(`${segments[0]}.${segments[1]}`);
+    const signature = Buffer.from(segments[2], 'base64url');
+    if (!this.verifySignature(header, algorithm, signingInput, signature)) {
+      throw new Error('bad signature');
+    }
+
+    this.verifyClaims(claims);
+    return claims;
+  }
+
+  /**
+   * Verify a JWT signature with the secret or the JWKS key matching the header
+   * @param {object} header - JWT header
+   * @param {{hash: string, kty: string}} algorithm - Entry of JWT_ALGORITHMS
+   * @param {Buffer} signingInput - Encoded header and payload
+   * @param {Buffer} signature - Decoded signature
+   * @returns {boolean} True if the signature is valid
+   * @throws {Error} If no key matches
+   */
+  verifySignature(header, algorithm, signingInput, signature) {
+    if (algorithm.kty === 'oct') {
+      if (!this.secret) {
+        throw new Error('no secret configured');
+      }
+      const expected = crypto.createHmac(algorithm.hash, this.secret).update(signingInput).digest();
+      return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+
+    const jwk = this.jwks.find(key =>
+      key.kty === algorithm.kty && key.use !== 'enc' &&
+      (!header.kid || key.kid === header.kid) && (!key.alg || key.alg === header.alg)
+    );
+    if (!jwk) {
+      throw new Error(`no key found for kid ${header.kid}`);
+    }
+
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    return crypto.verify(algorithm.hash, signingInput, {
+      key: publicKey,
+      // JWS ECDSA signatures are raw r||s, not DER
+      dsaEncoding: algorithm.kty === 'EC' ? 'ieee-p1363' : undefined
+    }, signature);
+  }
+
+  /**
+   * Verify the time, issuer and audience claims
+   * @param {object} claims - JWT claims
+   * @throws {Error} If a claim doesn't hold
+   */
+  verifyClaims(claims) {
+    const now = Math.floor(Date.now() / 1000);
+
+    if (claims.exp === undefined && this.requireExp) {
+      throw new Error('token has no exp');
+    }
+    if (claims.exp !== undefined && typeof claims.exp !== 'number') {
+      throw new Error('exp is not a number');
+    }
+    if (typeof claims.exp === 'number' && now > claims.exp + this.clockTolerance) {
+      throw new Error('token expired');
+    }
+    if (typeof claims.nbf === 'number' && now < claims.nbf - this.clockTolerance) {
+      throw new Error('token not yet valid');
+    }
+    if (this.issuer && claims.iss !== this.issuer) {
+      throw new Error('wrong issuer');
+    }
+    if (this.audience) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(this.audience)) {
+        throw new Error('wrong audience');
+      }
+    }
+  }
+
+  /**
+   * @returns {object} OpenAPI http bearer security scheme
+   */
+  securityScheme() {
+    return { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Bearer JWT' };
+  }
+
+  /**
+   * @returns {string} WWW-Authenticate challenge
+   */
+  challenge() {
+    return 'Bearer realm="a2a"';
+  }
+}
+
+/**
+ * RequestAuthenticator checks a request against every configured scheme; any one of them is enough
+ * With no scheme configured every request is accepted
+ */
+export class RequestAuthenticator {
+  /**
+   * Create a request authenticator
+   * @param {object} [authConfig] - config.a2a.auth
+   * @param {object} [authConfig.apiKey] - ApiKeyAuthenticator options, enables API keys
+   * @param {object} [authConfig.jwt] - JwtAuthenticator options, enables bearer JWTs
+   */
+  constructor(authConfig = {}) {
+    this.schemes = {};
+    if (authConfig.apiKey) {
+      this.schemes.apiKey = new ApiKeyAuthenticator(authConfig.apiKey);
+    }
+    if (authConfig.jwt) {
+      this.schemes.bearer = new JwtAuthenticator(authConfig.jwt);
+    }
+  }
+
+  /**
+   * Whether requests need credentials
+   * @returns {boolean} True if any scheme is configured
+   */
+  isEnabled() {
+    return Object.keys(this.schemes).length > 0;
+  }
+
+  /**
+   * Authenticate a request
+   * @param {object} event - Lambda Function URL event
+   * @returns {{principal: string, claims?: object}|{error: string, challenges: string[]}} Principal, or the reason and challenges for a 401
+   */
+  authenticate(event) {
+    if (!this.isEnabled()) {
+      return { principal: 'anonymous' };
+    }
+
+    const headers = Object.fromEntries(
+      Object.entries(event.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+    );
+    const challenges = Object.values(this.schemes).map(scheme => scheme.challenge());
+
+    let error = 'Authentication required';
+    for (const scheme of Object.values(this.schemes)) {
+      const result = scheme.authenticate(headers);
+      if (result?.principal) {
+        return result;
+      }
+      if (result?.error) {
+        error = result.error;
+      }
+    }
+
+    return { error, challenges };
+  }
+
+  /**
+   * Security schemes for the agent card, keyed by scheme name
+   * @returns {object|undefined} securitySchemes, undefined without authentication
+   */
+  securitySchemes() {
+    if (!this.isEnabled()) {
+      return undefined;
+    }
+    return Object.fromEntries(Object.entries(this.schemes).map(([name, scheme]) => [name, scheme.securityScheme()]));
+  }
+
+  /**
+   * Security requirements for the agent card: any one scheme
+   * @returns {Array<object>|undefined} security, undefined without authentication
+   */
+  security() {
+    if (!this.isEnabled()) {
+      return undefined;
+    }
+    return Object.keys(this.schemes).map(name => ({ [name]: [] }));
+  }
+}
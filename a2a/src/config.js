@@ -0,0 +1,402 @@
+/**
+ * Configuration loader shared by the Lambda and the deployment scripts
+ * Reads config.json, applies environment variable overrides and validates the result,
+ * so that a bad setting stops the function at startup instead of failing a request later
+ * The datastore password, API keys and JWT secret come from the environment or AWS Secrets Manager secrets,
+ * never from the file, as config.json is shipped in the Lambda zip
+ * @module config
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { z } from 'zod';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * config.json next to this module, copied there by deploy.sh
+ */
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'config.json');
+
+/**
+ * Parse a boolean environment variable
+ * @param {string} value - "true", "false", "1" or "0"
+ * @returns {boolean|string} The boolean, or the value as is for the schema to reject
+ */
+function parseBoolean(value) {
+  const normalized = value.trim().toLowerCase();
+  if (normalized === 'true' || normalized === '1') {
+    return true;
+  }
+  if (normalized === 'false' || normalized === '0') {
+    return false;
+  }
+  return value;
+}
+
+/**
+ * Parse a numeric environment variable
+ * @param {string} value - Decimal number
+ * @returns {number|string} The number, or the value as is for the schema to reject
+ */
+function parseNumber(value) {
+  const number = Number(value);
+  return value.trim() !== '' && Number.isFinite(number) ? number : value;
+}
+
+/**
+ * Parse a list of API keys
+ * @param {string} value - Comma-separated name=key pairs, e.g. "inspector=key1,partner=key2"
+ * @returns {Array<{name: string, key: string}>|string} The keys, or the value as is for the schema to reject
+ */
+function parseApiKeys(value) {
+  const keys = value.split(',').map(entry => {
+    const separator = entry.indexOf('=');
+    return separator < 0 ? {} : { name: entry.slice(0, separator).trim(), key: entry.slice(separator + 1).trim() };
+  });
+  return keys.every(({ name, key }) => name && key) ? keys : value;
+}
+
+/**
+ * Environment variables overriding config.json, with the setting each one replaces
+ * Secret ones are not copied to the Lambda function's environment by the deployer
+ */
+const ENV_OVERRIDES = [
+  { name: 'HEALTHYLINKX_DATASTORE_TYPE', path: ['datastore', 'type'] },
+  { name: 'HEALTHYLINKX_DB_HOST', path: ['datastore', 'host'] },
+  { name: 'HEALTHYLINKX_DB_USER', path: ['datastore', 'user'] },
+  { name: 'HEALTHYLINKX_DB_PASSWORD', path: ['datastore', 'passwd'], secret: true },
+  { name: 'HEALTHYLINKX_DB_SECRET_ID', path: ['datastore', 'secretId'] },
+  { name: 'HEALTHYLINKX_CACHE_TYPE', path: ['datastore', 'cache', 'type'] },
+  { name: 'A2A_INVOKE_MODE', path: ['a2a', 'invokeMode'] },
+  { name: 'A2A_TASK_STORE_TYPE', path: ['a2a', 'taskStore', 'type'] },
+  { name: 'A2A_INTENT_EXTRACTOR_TYPE', path: ['a2a', 'intentExtractor', 'type'] },
+  { name: 'A2A_API_KEYS', path: ['a2a', 'auth', 'apiKey', 'keys'], parse: parseApiKeys, secret: true },
+  { name: 'A2A_JWT_SECRET', path: ['a2a', 'auth', 'jwt', 'secret'], secret: true },
+  { name: 'A2A_AUTH_SECRET_ID', path: ['a2a', 'auth', 'secretId'] },
+  { name: 'A2A_METRICS_EMF', path: ['a2a', 'metrics', 'emf'], parse: parseBoolean },
+  { name: 'A2A_HEALTH_TIMEOUT_MS', path: ['a2a', 'health', 'timeoutMs'], parse: parseNumber },
+  { name: 'A2A_DEBUG', path: ['a2a', 'debug'], parse: parseBoolean }
+];
+
+/**
+ * Names of the environment variables that override config.json
+ */
+export const CONFIG_ENV_VARS = ENV_OVERRIDES.map(override => override.name);
+
+/**
+ * Names of the overriding variables that hold secrets
+ */
+export const SECRET_ENV_VARS = ENV_OVERRIDES.filter(override => override.secret).map(override => override.name);
+
+const ClientLimitsSchema = z.object({
+  requestsPerSecond: z.number().positive().optional(),
+  burst: z.number().int().positive().optional(),
+  dailyQuota: z.number().int().positive().optional()
+}).strict();
+
+const ApiKeyAuthSchema = z.object({
+  header: z.string().min(1).optional(),
+  // Only from A2A_API_KEYS or the auth secret, loadConfig rejects them in the file
+  keys: z.array(z.object({
+    name: z.string().min(1),
+    key: z.string().min(1)
+  }).strict()).min(1).optional()
+}).strict();
+
+const JwtAuthSchema = z.object({
+  // Only from A2A_JWT_SECRET or the auth secret, loadConfig rejects it in the file
+  secret: z.string().min(1).optional(),
+  jwksFile: z.string().min(1).optional(),
+  algorithms: z.array(z.enum(['HS256', 'HS384', 'HS512', 'RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512'])).min(1).optional(),
+  issuer: z.string().min(1).optional(),
+  audience: z.string().min(1).optional(),
+  clockToleranceSeconds: z.number().nonnegative().optional(),
+  requireExp: z.boolean().optional()
+}).strict();
+
+const AuthSchema = z.object({
+  apiKey: ApiKeyAuthSchema.nullable().optional(),
+  jwt: JwtAuthSchema.nullable().optional(),
+  // Secrets Manager secret (name or ARN) holding {"apiKeys": {"<name>": "<key>"}, "jwtSecret": "..."}
+  secretId: z.string().min(1).optional()
+}).strict().refine(auth => !auth.apiKey || auth.apiKey.keys || auth.secretId, {
+  message: 'needs keys (A2A_API_KEYS) or secretId',
+  path: ['apiKey']
+}).refine(auth => !auth.jwt || auth.jwt.secret || auth.jwt.jwksFile || auth.secretId, {
+  message: 'needs a secret (A2A_JWT_SECRET), a jwksFile or secretId',
+  path: ['jwt']
+});
+
+const IntentExtractorSchema = z.object({
+  type: z.enum(['regex', 'llm']).optional(),
+  baseUrl: z.url().optional(),
+  model: z.string().min(1).optional(),
+  apiKey: z.string().min(1).optional(),
+  timeoutMs: z.number().int().positive().optional()
+}).strict().refine(extractor => extractor.type !== 'llm' || (extractor.baseUrl && extractor.model),
+  'the llm intent extractor needs a baseUrl and a model');
+
+const A2aSchema = z.object({
+  functionName: z.string().min(1),
+  roleName: z.string().min(1),
+  agentName: z.string().min(1),
+  agentVersion: z.string().min(1),
+  invokeMode: z.enum(['BUFFERED', 'RESPONSE_STREAM']).optional(),
+  taskStore: z.object({
+    type: z.enum(['memory', 'sqlite', 'mysql']).optional(),
+    filename: z.string().min(1).optional()
+  }).strict().optional(),
+  intentExtractor: IntentExtractorSchema.optional(),
+  auth: AuthSchema.optional(),
+  rateLimits: z.object({
+    default: ClientLimitsSchema.optional(),
+    clients: z.record(z.string(), ClientLimitsSchema).optional()
+  }).strict().optional(),
+  metrics: z.object({
+    emf: z.boolean().optional(),
+    namespace: z.string().min(1).optional()
+  }).strict().optional(),
+  health: z.object({
+    timeoutMs: z.number().int().positive().optional()
+  }).strict().optional(),
+  pushNotifications: z.object({
+    maxAttempts: z.number().int().positive().optional(),
+    initialDelayMs: z.number().int().nonnegative().optional(),
+    timeoutMs: z.number().int().positive().optional(),
+    maxTotalMs: z.number().int().positive().optional()
+  }).strict().optional(),
+  debug: z.boolean().optional()
+}).strict();
+
+const DatastoreSchema = z.object({
+  type: z.enum(['mysql', 'sqlite', 'memory']).optional(),
+  host: z.string().min(1).optional(),
+  user: z.string().min(1).optional(),
+  // Only from HEALTHYLINKX_DB_PASSWORD, loadConfig rejects it in the file
+  passwd: z.string().min(1).optional(),
+  // Secrets Manager secret (name or ARN) holding {"username", "password"}, as RDS-managed secrets do
+  secretId: z.string().min(1).optional(),
+  endpointTtlSeconds: z.number().positive().optional(),
+  connectionLimit: z.number().int().positive().optional(),
+  cache: z.object({
+    type: z.enum(['none', 'memory', 'mysql']).optional(),
+    maxEntries: z.number().int().positive().optional(),
+    ttlSeconds: z.number().positive().optional()
+  }).strict().optional(),
+  zipCentroidsUrl: z.url().optional(),
+  filename: z.string().min(1).optional(),
+  fixture: z.string().min(1).optional()
+}).strict();
+
+/**
+ * Find settings that must not be written in config.json
+ * @param {object} fileConfig - Parsed config.json, before the environment overrides
+ * @returns {string[]} One line per problem
+ */
+function findFileSecrets(fileConfig) {
+  const problems = [];
+  if (fileConfig?.datastore?.passwd !== undefined) {
+    problems.push('  - datastore.passwd: must not be set in config.json, use HEALTHYLINKX_DB_PASSWORD or secretId');
+  }
+  if (fileConfig?.a2a?.auth?.apiKey?.keys !== undefined) {
+    problems.push('  - a2a.auth.apiKey.keys: must not be set in config.json, use A2A_API_KEYS or a2a.auth.secretId');
+  }
+  if (fileConfig?.a2a?.auth?.jwt?.secret !== undefined) {
+    problems.push('  - a2a.auth.jwt.secret: must not be set in config.json, use A2A_JWT_SECRET or a2a.auth.secretId');
+  }
+  return problems;
+}
+
+/**
+ * Schema of the whole configuration
+ */
+export const ConfigSchema = z.object({
+  a2a: A2aSchema,
+  datastore: DatastoreSchema
+}).strict();
+
+/**
+ * Set a nested value, creating the objects on the way
+ * @param {object} target - Object to change
+ * @param {string[]} keys - Path of the value
+ * @param {*} value - Value to set
+ */
+function setPath(target, keys, value) {
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    if (!node[key] || typeof node[key] !== 'object') {
+      node[key] = {};
+    }
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Apply the environment variable overrides to a parsed config file
+ * @param {object} fileConfig - Parsed config.json, changed in place
+ * @param {object} env - Environment variables
+ * @returns {Map<string, string>} Environment variable name by overridden setting path, e.g. "datastore.passwd"
+ */
+function applyEnvOverrides(fileConfig, env) {
+  const sources = new Map();
+  for (const override of ENV_OVERRIDES) {
+    const value = env[override.name];
+    if (value === undefined || value === '') {
+      continue;
+    }
+    setPath(fileConfig, override.path, override.parse ? override.parse(value) : value);
+    sources.set(override.path.join('.'), override.name);
+  }
+  return sources;
+}
+
+/**
+ * Load, override and validate a configuration file
+ * @param {string} [configPath] - config.json to read, the one next to this module by default
+ * @param {object} [env=process.env] - Environment variables
+ * @returns {object} Validated configuration
+ * @throws {Error} If the file can't be read or parsed, holds a password, or a setting is invalid; the message lists every problem
+ */
+export function loadConfig(configPath = DEFAULT_CONFIG_PATH, env = process.env) {
+  let fileConfig;
+  try {
+    fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read configuration ${configPath}: ${error.message}`);
+  }
+
+  const problems = findFileSecrets(fileConfig);
+  const sources = applyEnvOverrides(fileConfig, env);
+  const result = ConfigSchema.safeParse(fileConfig);
+  if (!result.success) {
+    problems.push(...result.error.issues.map(issue => {
+      const setting = issue.path.join('.');
+      const source = sources.get(setting);
+      return `  - ${setting || '(root)'}: ${issue.message}${source ? ` (from ${source})` : ''}`;
+    }));
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration in ${configPath}:\n${problems.join('\n')}`);
+  }
+
+  return result.data;
+}
+
+/**
+ * Check whether a configuration connects to MySQL, as datastore, task store or search cache
+ * @param {object} config - Validated configuration
+ * @returns {boolean} True if the MySQL credentials are needed
+ */
+export function usesMysql(config) {
+  return (config.datastore.type || 'mysql') === 'mysql' ||
+    config.a2a.taskStore?.type === 'mysql' ||
+    config.datastore.cache?.type === 'mysql';
+}
+
+/**
+ * Check that the MySQL credentials are configured
+ * Only the code that connects calls it (the Lambda at cold start and DSCreate), so scripts like
+ * delete-a2a-lambda.js run without credentials
+ * @param {object} datastoreConfig - config.datastore
+ * @throws {Error} If there is neither a secretId nor a user and password
+ */
+export function checkDatastoreCredentials(datastoreConfig) {
+  if (!datastoreConfig.secretId && !(datastoreConfig.user && datastoreConfig.passwd)) {
+    throw new Error('Invalid configuration: datastore: mysql needs secretId (HEALTHYLINKX_DB_SECRET_ID), ' +
+      'or user and the HEALTHYLINKX_DB_PASSWORD environment variable');
+  }
+}
+
+let cachedConfig = null;
+
+/**
+ * Get the configuration of this Lambda, loaded once per container
+ * @returns {object} Validated configuration
+ * @throws {Error} If the configuration is invalid
+ */
+export function getConfig() {
+  if (!cachedConfig) {
+    cachedConfig = loadConfig();
+  }
+  return cachedConfig;
+}
+
+const secretCache = new Map();
+
+/**
+ * Read a JSON secret from AWS Secrets Manager
+ * @param {string} secretId - Secret name or ARN
+ * @returns {Promise<object>} Secret fields
+ * @throws {Error} If the secret can't be read or is not JSON
+ */
+async function readSecret(secretId) {
+  const { SecretsManagerClient, GetSecretValueCommand } = await import('@aws-sdk/client-secrets-manager');
+  const response = await new SecretsManagerClient({}).send(new GetSecretValueCommand({ SecretId: secretId }));
+  try {
+    return JSON.parse(response.SecretString);
+  } catch {
+    throw new Error(`Secret ${secretId} is not a JSON object`);
+  }
+}
+
+/**
+ * Read a secret once per container; a failed read is retried on the next call
+ * @param {string} secretId - Secret name or ARN
+ * @returns {Promise<object>} Secret fields
+ * @throws {Error} If the secret can't be read or is not JSON
+ */
+function loadSecret(secretId) {
+  if (!secretCache.has(secretId)) {
+    const secret = readSecret(secretId);
+    secret.catch(() => secretCache.delete(secretId));
+    secretCache.set(secretId, secret);
+  }
+  return secretCache.get(secretId);
+}
+
+/**
+ * Resolve the MySQL credentials: from the secret when secretId is set, else user and the passwd from the environment
+ * Secrets are read once per container; a failed read is retried on the next call
+ * @param {object} datastoreConfig - config.datastore
+ * @returns {Promise<{user: string, password: string}>} Credentials
+ * @throws {Error} If no credentials are configured, or the secret can't be read or has no password
+ */
+export async function resolveDatastoreCredentials(datastoreConfig) {
+  checkDatastoreCredentials(datastoreConfig);
+  if (!datastoreConfig.secretId) {
+    return { user: datastoreConfig.user, password: datastoreConfig.passwd };
+  }
+
+  const { secretId } = datastoreConfig;
+  const secret = await loadSecret(secretId);
+  if (!secret.password) {
+    throw new Error(`Secret ${secretId} has no password`);
+  }
+  return { user: secret.username || datastoreConfig.user, password: secret.password };
+}
+
+/**
+ * Add the API keys and JWT secret of the auth secret to the auth settings, when secretId is set
+ * Like A2A_API_KEYS and A2A_JWT_SECRET, the secret's values turn their scheme on, and they win over both variables
+ * @param {object} [authConfig] - config.a2a.auth
+ * @returns {Promise<object|undefined>} Auth settings for RequestAuthenticator
+ * @throws {Error} If the secret can't be read
+ */
+export async function resolveAuthSecrets(authConfig) {
+  if (!authConfig?.secretId) {
+    return authConfig;
+  }
+
+  const secret = await loadSecret(authConfig.secretId);
+  const resolved = { ...authConfig };
+  if (secret.apiKeys) {
+    resolved.apiKey = { ...authConfig.apiKey, keys: Object.entries(secret.apiKeys).map(([name, key]) => ({ name, key })) };
+  }
+  if (secret.jwtSecret) {
+    resolved.jwt = { ...authConfig.jwt, secret: secret.jwtSecret };
+  }
+  return resolved;
+}
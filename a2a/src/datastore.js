@@ -0,0 +1,417 @@
+/**
+ * Pluggable backends for the healthylinkx data (npidata2, taxonomy, speciality, zipcodes)
+ * MySQL on RDS is the production backend; SQLite and in-memory backends seeded from a
+ * fixture subset let the agent run on a laptop with no AWS
+ * @module datastore
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { isBuiltin } from 'module';
+import { fileURLToPath } from 'url';
+import {
+  buildDoctorSearchQuery,
+  buildDoctorCountQuery,
+  buildZipCentroidQuery,
+  buildProviderQuery,
+  buildSpecialtyListQuery,
+  normalizePage,
+  MILES_PER_DEGREE
+} from './queryBuilder.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Datastore');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Fixture used by the sqlite and memory backends unless config.datastore.fixture says otherwise
+ */
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'healthylinkx.json');
+
+/**
+ * Datastore interface implemented by every backend:
+ * - findDoctors(filters, page, near): Promise<object[]> (one page of npidata2 rows, nearest first when near is set)
+ * - countDoctors(filters, near): Promise<number>
+ * - getZipCentroid(zipcode): Promise<{latitude, longitude}|undefined>
+ * - getProviders(lookup, limit): Promise<object[]> (full npidata2 rows)
+ * - listSpecialties(zipcode): Promise<Array<{Classification, Providers}>>
+ * - listTaxonomy(): Promise<Array<{Classification, Specialization}>> (taxonomy rows, plus the speciality classifications)
+ * - checkHealth(timeout): Promise<void> (rejects if the backend can't answer or npidata2 is missing or empty)
+ * Filters, pages and near are those of queryBuilder.js
+ * @typedef {object} Datastore
+ */
+
+/**
+ * Read a fixture file
+ * @param {string} [filename] - Path of a JSON file of { table: [rows] }
+ * @returns {object} Tables keyed by name
+ */
+function readFixture(filename = DEFAULT_FIXTURE) {
+  return JSON.parse(fs.readFileSync(filename, 'utf8'));
+}
+
+/**
+ * SqlDatastore runs the queryBuilder statements through a query function
+ * Used as is for MySQL, with the pooled QueryDatastore
+ */
+export class SqlDatastore {
+  /**
+   * Create a SQL datastore
+   * @param {function(string, Array): Promise<Array>} query - Runs a statement with placeholders
+   */
+  constructor(query) {
+    this.query = query;
+  }
+
+  /**
+   * Find one page of doctors
+   * @param {object} filters - Search parameters
+   * @param {object} page - Page options
+   * @param {object} [near] - Center and radius of a radius search
+   * @returns {Promise<object[]>} npidata2 rows
+   */
+  async findDoctors(filters, page, near) {
+    const statement = buildDoctorSearchQuery(filters, page, near);
+    return this.query(statement.sql, statement.values);
+  }
+
+  /**
+   * Count all doctors matching the filters
+   * @param {object} filters - Search parameters
+   * @param {object} [near] - Center and radius of a radius search
+   * @returns {Promise<number>} Number of matching doctors
+   */
+  async countDoctors(filters, near) {
+    const statement = buildDoctorCountQuery(filters, near);
+    const [count] = await this.query(statement.sql, statement.values);
+    return Number(count.total);
+  }
+
+  /**
+   * Look up the centroid of a ZIP code
+   * @param {string} zipcode - 5-digit ZIP code
+   * @returns {Promise<{latitude: number, longitude: number}|undefined>} Centroid, if the ZIP code is known
+   */
+  async getZipCentroid(zipcode) {
+    const statement = buildZipCentroidQuery(zipcode);
+    const [centroid] = await this.query(statement.sql, statement.values);
+    return centroid ? { latitude: Number(centroid.latitude), longitude: Number(centroid.longitude) } : undefined;
+  }
+
+  /**
+   * Load the full records of providers
+   * @param {object} lookup - NPI or name of the provider
+   * @param {number} limit - Maximum number of records
+   * @returns {Promise<object[]>} npidata2 rows
+   */
+  async getProviders(lookup, limit) {
+    const statement = buildProviderQuery(lookup, limit);
+    return this.query(statement.sql, statement.values);
+  }
+
+  /**
+   * List the classifications of the providers in a ZIP code
+   * @param {string} zipcode - 5-digit ZIP code
+   * @returns {Promise<Array<{Classification: string, Providers: number}>>} Classifications and provider counts
+   */
+  async listSpecialties(zipcode) {
+    const statement = buildSpecialtyListQuery(zipcode);
+    return this.query(statement.sql, statement.values);
+  }
+
+  /**
+   * List the classifications and specializations of the provider taxonomy
+   * The speciality table adds classifications on their own, with a null Specialization
+   * @returns {Promise<Array<{Classification: string, Specialization: string|null}>>} Taxonomy rows
+   */
+  async listTaxonomy() {
+    return this.query(
+      "SELECT DISTINCT Classification, Specialization FROM taxonomy WHERE Classification IS NOT NULL AND Classification <> '' " +
+      "UNION SELECT DISTINCT Classification, NULL FROM speciality WHERE Classification IS NOT NULL AND Classification <> ''", []);
+  }
+
+  /**
+   * Check that the database answers and that npidata2 exists and has rows
+   * @param {number} [timeout] - Query timeout in milliseconds, where the query function supports one
+   * @returns {Promise<void>}
+   * @throws {Error} If the database is unreachable or npidata2 is missing or empty
+   */
+  async checkHealth(timeout) {
+    await this.query('SELECT 1', [], timeout);
+
+    let rows;
+    try {
+      rows = await this.query('SELECT NPI FROM npidata2 LIMIT 1', [], timeout);
+    } catch (error) {
+      throw new Error(`npidata2 table not readable: ${error.message}`);
+    }
+    if (rows.length === 0) {
+      throw new Error('npidata2 table is empty');
+    }
+  }
+}
+
+/**
+ * SqliteDatastore runs the same statements on a SQLite database seeded from the fixture (node:sqlite, Node 22.13+)
+ * Text columns compare case-insensitively, as they do in MySQL
+ */
+export class SqliteDatastore extends SqlDatastore {
+  /**
+   * Create a SQLite datastore
+   * @param {object} [options] - config.datastore
+   * @param {string} [options.filename=:memory:] - Database file, seeded only when it has no npidata2 table
+   * @param {string} [options.fixture] - Fixture file
+   */
+  constructor(options = {}) {
+    super((sql, values) => this.run(sql, values));
+    this.filename = options.filename || ':memory:';
+    this.fixture = options.fixture;
+    this.db = null;
+  }
+
+  /**
+   * Open the database and seed it on first use
+   * @returns {Promise<object>} The DatabaseSync handle
+   */
+  async open() {
+    if (!this.db) {
+      const { DatabaseSync } = await import('node:sqlite');
+      const db = new DatabaseSync(this.filename);
+      // The radius search uses MySQL's POW and SQRT, which SQLite only has when built with its math functions
+      db.function('POW', { deterministic: true }, Math.pow);
+      db.function('SQRT', { deterministic: true }, Math.sqrt);
+      const seeded = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'npidata2'").get();
+      if (!seeded) {
+        this.seed(db, readFixture(this.fixture));
+      }
+      this.db = db;
+    }
+    return this.db;
+  }
+
+  /**
+   * Create and fill one table per fixture entry
+   * @param {object} db - DatabaseSync handle
+   * @param {object} tables - Rows keyed by table name
+   */
+  seed(db, tables) {
+    for (const [table, rows] of Object.entries(tables)) {
+      const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+      const definitions = columns.map(column =>
+        rows.some(row => typeof row[column] === 'number') ? `${column} REAL` : `${column} TEXT COLLATE NOCASE`
+      );
+      db.exec(`CREATE TABLE ${table} (${definitions.join(', ')})`);
+
+      const insert = db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`);
+      db.exec('BEGIN');
+      for (const row of rows) {
+        insert.run(...columns.map(column => row[column] ?? null));
+      }
+      db.exec('COMMIT');
+      logger.debug('Seeded table', { table, rows: rows.length });
+    }
+  }
+
+  /**
+   * Run a statement
+   * @param {string} sql - SQL statement with ? placeholders
+   * @param {Array} values - Placeholder values
+   * @returns {Promise<object[]>} Result rows
+   */
+  async run(sql, values) {
+    const db = await this.open();
+    return db.prepare(sql).all(...values).map(row => ({ ...row }));
+  }
+}
+
+/**
+ * Case-insensitive equality on a column, as MySQL compares text
+ * @param {string} column - npidata2 column name
+ * @returns {function(*): function(object): boolean} Predicate builder
+ */
+function equals(column) {
+  return value => {
+    const expected = String(value).toLowerCase();
+    return row => row[column] !== null && row[column] !== undefined && String(row[column]).toLowerCase() === expected;
+  };
+}
+
+/**
+ * Predicates of the supported search filters, mirroring DOCTOR_FILTERS in queryBuilder.js
+ */
+const DOCTOR_PREDICATES = {
+  npi: equals('NPI'),
+  lastname: equals('Provider_Last_Name_Legal_Name'),
+  firstname: equals('Provider_First_Name'),
+  gender: equals('Provider_Gender_Code'),
+  specialty: equals('Classification'),
+  city: equals('Provider_Full_City'),
+  state: equals('Provider_Business_Practice_Location_Address_State_Name'),
+  zipcode: equals('Provider_Short_Postal_Code')
+};
+
+/**
+ * MemoryDatastore answers from fixture rows held in memory, with no database at all
+ */
+export class MemoryDatastore {
+  /**
+   * Create an in-memory datastore
+   * @param {object} [options] - config.datastore
+   * @param {string} [options.fixture] - Fixture file
+   * @param {object} [tables] - Rows keyed by table name, instead of reading the fixture
+   */
+  constructor(options = {}, tables = readFixture(options.fixture)) {
+    this.doctors = tables.npidata2 || [];
+    this.taxonomy = [
+      ...(tables.taxonomy || []),
+      ...(tables.speciality || []).map(row => ({ Classification: row.Classification, Specialization: null }))
+    ];
+    this.centroids = new Map((tables.zipcodes || []).map(row => [row.zipcode, row]));
+  }
+
+  /**
+   * Find all doctors matching the filters, with their distance in radius searches
+   * @param {object} filters - Search parameters
+   * @param {{latitude: number, longitude: number, radius: number}} [near] - Center and radius in miles
+   * @returns {object[]} Matching rows, ordered like the SQL backends
+   * @throws {Error} If no filter is set or a filter is unknown
+   */
+  match(filters, near) {
+    const predicates = [];
+    for (const [name, value] of Object.entries(filters)) {
+      if (value === undefined || value === null || value === '') {
+        continue;
+      }
+      if (!DOCTOR_PREDICATES[name]) {
+        throw new Error(`Unknown search filter: ${name}`);
+      }
+      predicates.push(DOCTOR_PREDICATES[name](value));
+    }
+    if (predicates.length === 0 && !near) {
+      throw new Error('At least one search filter is required');
+    }
+
+    let rows = this.doctors.filter(row => predicates.every(predicate => predicate(row)));
+    if (near) {
+      // Same equirectangular distance between ZIP code centroids as the SQL backends
+      const milesPerLongitude = MILES_PER_DEGREE * Math.cos(near.latitude * Math.PI / 180);
+      rows = rows
+        .map(row => {
+          const centroid = this.centroids.get(row.Provider_Short_Postal_Code);
+          if (!centroid) {
+            return null;
+          }
+          const distance = Math.hypot(
+            MILES_PER_DEGREE * (centroid.latitude - near.latitude),
+            milesPerLongitude * (centroid.longitude - near.longitude)
+          );
+          return distance <= near.radius ? { ...row, Distance: distance } : null;
+        })
+        .filter(Boolean);
+    }
+
+    return rows.sort((a, b) =>
+      (near ? a.Distance - b.Distance : 0) ||
+      a.Provider_Full_Name.localeCompare(b.Provider_Full_Name) ||
+      a.NPI.localeCompare(b.NPI)
+    );
+  }
+
+  /**
+   * See SqlDatastore.findDoctors
+   */
+  async findDoctors(filters, page, near) {
+    const { limit, offset } = normalizePage(page);
+    return this.match(filters, near).slice(offset, offset + limit).map(row => ({
+      Provider_Full_Name: row.Provider_Full_Name,
+      Provider_Full_Street: row.Provider_Full_Street,
+      Provider_Full_City: row.Provider_Full_City,
+      Classification: row.Classification,
+      ...(near ? { Distance: row.Distance } : {})
+    }));
+  }
+
+  /**
+   * See SqlDatastore.countDoctors
+   */
+  async countDoctors(filters, near) {
+    return this.match(filters, near).length;
+  }
+
+  /**
+   * See SqlDatastore.getZipCentroid
+   */
+  async getZipCentroid(zipcode) {
+    const centroid = this.centroids.get(String(zipcode).padStart(5, '0'));
+    return centroid ? { latitude: centroid.latitude, longitude: centroid.longitude } : undefined;
+  }
+
+  /**
+   * See SqlDatastore.getProviders
+   */
+  async getProviders(lookup, limit) {
+    return this.match(lookup).slice(0, normalizePage({ limit }).limit).map(row => ({ ...row }));
+  }
+
+  /**
+   * See SqlDatastore.listSpecialties
+   */
+  async listSpecialties(zipcode) {
+    const counts = new Map();
+    for (const row of this.match({ zipcode })) {
+      if (row.Classification) {
+        counts.set(row.Classification, (counts.get(row.Classification) || 0) + 1);
+      }
+    }
+    return [...counts.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([Classification, Providers]) => ({ Classification, Providers }));
+  }
+
+  /**
+   * See SqlDatastore.listTaxonomy
+   */
+  async listTaxonomy() {
+    return this.taxonomy.filter(row => row.Classification).map(row => ({ ...row }));
+  }
+
+  /**
+   * See SqlDatastore.checkHealth
+   */
+  async checkHealth() {
+    if (this.doctors.length === 0) {
+      throw new Error('npidata2 table is empty');
+    }
+  }
+}
+
+/**
+ * Create the datastore selected in config.json
+ * @param {object} [datastoreConfig] - config.datastore
+ * @param {string} [datastoreConfig.type=mysql] - "mysql", "sqlite" or "memory"
+ * @param {function(string, Array): Promise<Array>} mysqlQuery - Runs a statement on the pooled MySQL datastore
+ * @returns {Datastore} Datastore backend
+ * @throws {Error} If the type is unknown, or sqlite without node:sqlite
+ */
+export function createDatastore(datastoreConfig = {}, mysqlQuery) {
+  const type = datastoreConfig.type || 'mysql';
+
+  switch (type) {
+    case 'mysql':
+      return new SqlDatastore(mysqlQuery);
+
+    case 'sqlite':
+      // Fail at startup rather than on the first search
+      if (!isBuiltin('node:sqlite')) {
+        throw new Error(`The sqlite datastore needs node:sqlite (Node 22.13+), this is Node ${process.versions.node}`);
+      }
+      return new SqliteDatastore(datastoreConfig);
+
+    case 'memory':
+      return new MemoryDatastore(datastoreConfig);
+
+    default:
+      throw new Error(`Unknown datastore type: ${type}. Supported types: mysql, sqlite, memory`);
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Readiness checks of the agent's dependencies, for GET /health/ready
+ * Each check runs under its own timeout so that a hung dependency fails the probe instead of the invocation
+ * @module health
+ */
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger('HealthCheck');
+
+/**
+ * Result of one check, returned to unauthenticated callers:
+ * - status: "up" or "down"
+ * - latencyMs: time the check took, or the timeout
+ * Why a check failed is only logged, as errors can name hosts, tables or users
+ * @typedef {object} CheckResult
+ */
+
+/**
+ * Settle a promise within a time limit
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} timeoutMs - Time limit in milliseconds
+ * @returns {Promise} The promise's outcome, or a rejection once the time is up
+ */
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs} ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run one check
+ * @param {string} name - Component name
+ * @param {function(): Promise<void>} check - Resolves when the component is ready, rejects otherwise
+ * @param {number} timeoutMs - Time limit in milliseconds
+ * @returns {Promise<CheckResult>} Result
+ */
+async function runCheck(name, check, timeoutMs) {
+  const started = Date.now();
+  try {
+    await withTimeout(Promise.resolve().then(check), timeoutMs);
+    return { status: 'up', latencyMs: Date.now() - started };
+  } catch (error) {
+    logger.warn('Component not ready', { check: name, error });
+    return { status: 'down', latencyMs: Date.now() - started };
+  }
+}
+
+/**
+ * Run every check in parallel
+ * @param {Object<string, function(): Promise<void>>} checks - Checks keyed by component name
+ * @param {number} [timeoutMs=3000] - Time limit of each check in milliseconds
+ * @returns {Promise<{ready: boolean, components: Object<string, CheckResult>}>} Whether all components are up, and each result
+ */
+export async function checkReadiness(checks, timeoutMs = 3000) {
+  const names = Object.keys(checks);
+  const results = await Promise.all(names.map(name => runCheck(name, checks[name], timeoutMs)));
+  const components = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+  return {
+    ready: results.every(result => result.status === 'up'),
+    components
+  };
+}
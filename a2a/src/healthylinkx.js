@@ -4,20 +4,32 @@ import {
 } from "@aws-sdk/client-rds";
 
 import mysql from 'mysql2/promise';
-import * as fs from 'fs';
-import * as path from 'path';
-import { fileURLToPath } from 'url';
+import { normalizePage } from './queryBuilder.js';
+import { createDatastore } from './datastore.js';
+import { createSearchCache, searchCacheKey } from './searchCache.js';
+import { createLogger } from './logger.js';
+import { searchDoctorsDuration, searchDoctorsResults, searchCacheLookups } from './metrics.js';
+import { getConfig, resolveDatastoreCredentials } from './config.js';
 
-// Read the config file
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const configPath = path.join(__dirname, 'config.json');
-const rawConfig = fs.readFileSync(configPath);
-const config = JSON.parse(rawConfig);
+// Datastore and cache settings, after the HEALTHYLINKX_* environment overrides
+const config = getConfig();
 
 // Extract configurations
-const DBUSER = config.datastore.user;
-const DBPWD = config.datastore.passwd;
+// a fixed endpoint skips the RDS lookup (e.g. a local MySQL for testing)
+const DBHOST = config.datastore.host;
+const ENDPOINT_TTL = (config.datastore.endpointTtlSeconds || 300) * 1000;
+const POOL_SIZE = config.datastore.connectionLimit || 2;
+
+// errors meaning the connection (not the query) is broken, worth one reconnect
+const CONNECTION_ERRORS = ['PROTOCOL_CONNECTION_LOST', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EPIPE'];
+
+// module-level state, reused across warm Lambda invocations
+var endpointCache = { address: null, expires: 0 };
+var poolPromise = null;
+var datastore = null;
+var searchCache;
+
+const logger = createLogger("healthylinkx");
 
 function ServerReply (code, message){
     return {
@@ -26,66 +38,243 @@ function ServerReply (code, message){
     };
 }
 
-export async function SearchDoctors(gender, lastname, specialty, zipcode){
+// URL of the datastore, discovered through RDS and cached for ENDPOINT_TTL
+async function GetDatastoreEndpoint(){
+    if (DBHOST) return DBHOST;
+    if (endpointCache.address && Date.now() < endpointCache.expires)
+        return endpointCache.address;
+
+    const rdsclient = new RDSClient({});
+    const data = await rdsclient.send(new DescribeDBInstancesCommand({
+        DBInstanceIdentifier: "healthylinkx-db"}));
+    endpointCache = {
+        address: data.DBInstances[0].Endpoint.Address,
+        expires: Date.now() + ENDPOINT_TTL
+    };
+    return endpointCache.address;
+}
+
+// connection pool to the datastore, created on first use
+// credentials come from config.json, the environment or a Secrets Manager secret
+function GetPool(){
+    if (!poolPromise) {
+        poolPromise = Promise.all([
+            GetDatastoreEndpoint(),
+            resolveDatastoreCredentials(config.datastore)
+        ]).then(([endpoint, credentials]) => mysql.createPool({
+            host: endpoint,
+            user: credentials.user,
+            password: credentials.password,
+            database: "healthylinkx",
+            connectionLimit: POOL_SIZE,
+            maxIdle: POOL_SIZE,
+            idleTimeout: 60000,
+            enableKeepAlive: true
+        }));
+        // a failed endpoint or secret lookup must not be cached
+        poolPromise.catch(() => { poolPromise = null; });
+    }
+    return poolPromise;
+}
+
+// drop the pool and the cached endpoint, the next query reconnects from scratch
+function ResetPool(){
+    const oldPool = poolPromise;
+    poolPromise = null;
+    endpointCache.expires = 0;
+    if (oldPool)
+        oldPool.then(pool => pool.end()).catch(() => {});
+}
+
+// run a statement with placeholders on the pooled datastore
+// a broken connection is recovered once by rebuilding the pool
+export async function QueryDatastore(sql, values = [], timeout = 10000){
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const pool = await GetPool();
+            const [rows] = await pool.execute({ sql, values, timeout });
+            return rows;
+        } catch(err) {
+            if (attempt > 1 || !CONNECTION_ERRORS.includes(err.code)) throw err;
+            logger.warn("Connection to the datastore broken, reconnecting", { operation: "QueryDatastore", error: err });
+            ResetPool();
+        }
+    }
+}
+
+// backend holding the doctors, chosen with config.datastore.type (mysql, sqlite or memory)
+function GetDatastore(){
+    if (!datastore)
+        datastore = createDatastore(config.datastore, QueryDatastore);
+    return datastore;
+}
+
+// cache of search results, chosen with config.datastore.cache.type (none, memory or mysql)
+// null when caching is off
+function GetSearchCache(){
+    if (searchCache === undefined)
+        searchCache = createSearchCache(config.datastore.cache, QueryDatastore);
+    return searchCache;
+}
+
+// readiness of the datastore: it answers and npidata2 exists and has rows
+// timeout: milliseconds allowed to each query
+// returns 200 when ready, 503 with the reason otherwise
+export async function CheckDatastore(timeout = 3000){
+    try {
+        await GetDatastore().checkHealth(timeout);
+        return ServerReply (200, "Datastore ready");
+    } catch(err) {
+        logger.error("Datastore not ready", { operation: "CheckDatastore", error: err });
+        return ServerReply (503, err.message);
+    }
+}
+
+// search one page of doctors matching the given filters
+// filters: {gender, lastname, firstname, specialty, zipcode, city, state, radius}
+// radius: miles around the zipcode, nearest doctors first
+// page: {limit, offset}
+// options: {bypassCache} to skip the cached result, the fresh one replaces it
+// returns {rows, total, limit, offset, cache}, rows have a Distance in miles in radius searches
+// and cache is {hit, cachedAt} (cachedAt only on hits)
+export async function SearchDoctors(filters, page = {}, options = {}){
+    const started = Date.now();
+    const reply = await CachedQueryDoctors(filters, page, options.bypassCache);
+
+    // latency and result counts for /metrics
+    searchDoctorsDuration.observe({ status: reply.statusCode }, (Date.now() - started) / 1000);
+    if (reply.statusCode === 200)
+        searchDoctorsResults.observe({}, reply.result.rows.length);
+    return reply;
+}
+
+// the search behind SearchDoctors, answered from the cache when it has the same search
+async function CachedQueryDoctors(filters, page, bypassCache){
+    const cache = GetSearchCache();
+    if (!cache)
+        return AddCacheInfo(await QueryDoctors(filters, page), { hit: false });
+
+    const key = searchCacheKey(filters, page);
+    if (!bypassCache) {
+        // a broken cache only costs the hit, the search still runs
+        let cached;
+        try {
+            cached = await cache.get(key);
+        } catch (err) {
+            logger.error("Error reading the search cache", { operation: "SearchDoctors", error: err });
+        }
+        if (cached) {
+            searchCacheLookups.inc({ result: "hit" });
+            return ServerReply (200, { ...cached.value, cache: { hit: true, cachedAt: new Date(cached.cachedAt).toISOString() } });
+        }
+    }
+    searchCacheLookups.inc({ result: bypassCache ? "bypass" : "miss" });
+
+    // only successful searches are cached, errors are retried
+    const reply = await QueryDoctors(filters, page);
+    if (reply.statusCode === 200) {
+        try {
+            await cache.set(key, reply.result);
+        } catch (err) {
+            logger.error("Error writing the search cache", { operation: "SearchDoctors", error: err });
+        }
+    }
+    return AddCacheInfo(reply, { hit: false });
+}
+
+// attach the cache info to a successful reply
+function AddCacheInfo(reply, cache){
+    if (reply.statusCode === 200)
+        reply.result.cache = cache;
+    return reply;
+}
+
+// the search behind SearchDoctors
+async function QueryDoctors(filters, page){
+    const { gender, lastname, specialty, zipcode, city, radius, ...otherFilters } = filters;
+
  	//check params
- 	if(!zipcode && !lastname && !specialty)
+ 	if(!zipcode && !lastname && !specialty && !city)
 		return ServerReply (204, "Not enought params!");
+	if(radius && !zipcode)
+		return ServerReply (204, "A zipcode is needed to search by distance!");
 
     //normalize gender
+    var genderCode;
 	if (gender){
-		if (gender === 'male') gender = 'M';
-		if (gender === 'm') gender = 'M';
-		if (gender !== 'M') gender = 'F';
+		if (gender === 'male' || gender === 'm' || gender === 'M') genderCode = 'M';
+		else genderCode = 'F';
 	}
 
-    // build the query to the datastore
-	var query = "SELECT Provider_Full_Name,Provider_Full_Street,Provider_Full_City,Classification FROM npidata2 WHERE (";
-    if(lastname)
-        query += "(Provider_Last_Name_Legal_Name = '" + lastname + "')";
-    if(gender){
-        if(lastname) query += " AND ";
-        query += "(Provider_Gender_Code = '" + gender + "')";
-    }
-    if(specialty){
-        if(lastname || gender) query += " AND ";
-        query += "(Classification = '" + specialty + "')";
-    }
-    if(zipcode){
-        if(lastname || gender || specialty) query += " AND ";
-        query += "(Provider_Short_Postal_Code = '" + zipcode + "')";
-    }
-    query += ") limit 25";
-
     // query the datastore and return results
     try {
-        //URL of the datastore
-        const rdsclient = new RDSClient({});
-        const data = await rdsclient.send(new DescribeDBInstancesCommand({
-            DBInstanceIdentifier: "healthylinkx-db"}));
-        const endpoint = data.DBInstances[0].Endpoint.Address;
+        const store = GetDatastore();
 
-        const connection = await mysql.createConnection({
-            host: endpoint,
-            user: DBUSER,
-            password: DBPWD,
-            database: "healthylinkx"
-        });
-        await connection.connect();
+        // in radius searches the zipcode is the center instead of a filter
+        var normalizedFilters = { ...otherFilters, gender: genderCode, lastname, specialty, city, zipcode };
+        var near;
+        if (radius) {
+            const centroid = await store.getZipCentroid(zipcode);
+            if (!centroid)
+                return ServerReply (404, "Unknown zipcode " + zipcode);
+
+            near = { ...centroid, radius: Number(radius) };
+            normalizedFilters.zipcode = undefined;
+        }
 
-        const [rows,fields] = await connection.query({ sql: query, timeout: 10000});
-        await connection.end();
+        const { limit, offset } = normalizePage(page);
+        const rows = await store.findDoctors(normalizedFilters, { limit, offset }, near);
 
+        // a short first page already tells the total, skip the count
+        var total = rows.length;
+        if (offset > 0 || rows.length === limit)
+            total = await store.countDoctors(normalizedFilters, near);
+
+        return ServerReply (200, { rows, total, limit, offset });
+    } catch(err) {
+        // details stay in the logs, callers only learn that the datastore failed
+        logger.error("Error querying the datastore", { operation: "SearchDoctors", error: err });
+        return ServerReply (500, "Error accessing the datastore");
+    }
+}
+
+// list the classifications and specializations of the provider taxonomy, and the speciality classifications
+// returns rows of {Classification, Specialization}
+export async function ListTaxonomy(){
+    try {
+        const rows = await GetDatastore().listTaxonomy();
         return ServerReply (200, rows);
     } catch(err) {
-        return ServerReply (500, ("Error accessing to the datastore with query: " + query + " and error: " + err));
+        logger.error("Error querying the datastore", { operation: "ListTaxonomy", error: err });
+        return ServerReply (500, "Error accessing the datastore");
     }
 }
 
-// use this search for locally testing the functionality of the MCP Server
-export async function SearchDoctorsTest(gender, lastname, specialty, zipcode){
-    return ServerReply (200, [
-        { Provider_Full_Name: "John Doe",   Provider_Full_Street: "Main Street 1", Provider_Full_City: "Redmond", Classification: "Surgeon"},
-        { Provider_Full_Name: "John Smith", Provider_Full_Street: "Main Street 2", Provider_Full_City: "Redmond", Classification: "Surgeon"},
-        { Provider_Full_Name: "John Brown", Provider_Full_Street: "Main Street 3", Provider_Full_City: "Redmond", Classification: "Surgeon"}
-    ]);
+// full npidata2 records of the providers with a given NPI or name
+// lookup: {npi} or {lastname, firstname}
+// returns up to limit rows
+export async function GetProviders(lookup, limit = 10){
+ 	//check params
+ 	if(!lookup.npi && !lookup.lastname)
+		return ServerReply (204, "Not enought params!");
+
+    try {
+        const rows = await GetDatastore().getProviders(lookup, limit);
+        return ServerReply (200, rows);
+    } catch(err) {
+        logger.error("Error querying the datastore", { operation: "GetProviders", error: err });
+        return ServerReply (500, "Error accessing the datastore");
+    }
+}
+
+// classifications of the providers in a zipcode, with the number of providers of each
+// returns rows of {Classification, Providers}
+export async function ListSpecialties(zipcode){
+    try {
+        const rows = await GetDatastore().listSpecialties(zipcode);
+        return ServerReply (200, rows);
+    } catch(err) {
+        logger.error("Error querying the datastore", { operation: "ListSpecialties", error: err });
+        return ServerReply (500, "Error accessing the datastore");
+    }
 }
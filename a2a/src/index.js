@@ -4,18 +4,38 @@
  * @module index
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import { LambdaA2AAdapter } from './lambdaAdapter.js';
 import { DoctorSearchExecutor } from './DoctorSearchExecutor.js';
 import { createAgentCard } from './agentCard.js';
+import { createTaskStore } from './taskStore.js';
+import { createIntentExtractor } from './intentExtractor.js';
+import { PushNotificationSender } from './pushNotifications.js';
+import { RequestAuthenticator } from './auth.js';
+import { RateLimiter } from './rateLimiter.js';
+import { isStreamingResponse, bufferStreamingResponse, formatSseEvent } from './streaming.js';
+import { createLogger, resolveLogLevel, setLogLevel, runWithLogContext } from './logger.js';
+import { registry } from './metrics.js';
+import { checkReadiness } from './health.js';
+import { CheckDatastore } from './healthylinkx.js';
+import { getConfig, usesMysql, checkDatastoreCredentials, resolveAuthSecrets } from './config.js';
 
-// Read config
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const configPath = path.join(__dirname, 'config.json');
-const config = JSON.parse(fs.readFileSync(configPath));
+// Read config, validated with its environment overrides; an invalid one fails the cold start
+const config = getConfig();
+if (usesMysql(config)) {
+  checkDatastoreCredentials(config.datastore);
+}
+
+setLogLevel(resolveLogLevel(config.a2a));
+registry.configure(config.a2a.metrics);
+const logger = createLogger('handler');
+
+// API keys and the JWT secret may live in a Secrets Manager secret; a missing key fails the cold start
+const authenticator = new RequestAuthenticator(await resolveAuthSecrets(config.a2a.auth));
+
+// Response streaming needs the runtime's support and a function URL configured for it
+// (the AWS SDK defines an empty awslambda global outside Lambda, so check for streamifyResponse itself)
+const responseStreaming = typeof globalThis.awslambda?.streamifyResponse === 'function' &&
+  config.a2a.invokeMode === 'RESPONSE_STREAM';
 
 // Singleton adapter (initialized once per Lambda container)
 let adapter = null;
@@ -27,10 +47,14 @@ let adapter = null;
  */
 function getAdapter(baseUrl) {
   if (!adapter) {
-    console.log('[getAdapter] Initializing adapter with baseUrl:', baseUrl);
-    const agentCard = createAgentCard(baseUrl, config);
-    const executor = new DoctorSearchExecutor();
-    adapter = new LambdaA2AAdapter(agentCard, executor);
+    logger.info('Initializing adapter', { baseUrl });
+    const agentCard = createAgentCard(baseUrl, config, authenticator, { responseStreaming });
+    const executor = new DoctorSearchExecutor({ intentExtractor: createIntentExtractor(config.a2a.intentExtractor) });
+    const taskStore = createTaskStore(config.a2a.taskStore);
+    const pushSender = new PushNotificationSender(config.a2a.pushNotifications);
+    const rateLimiter = new RateLimiter(config.a2a.rateLimits, taskStore);
+    adapter = new LambdaA2AAdapter(agentCard, executor, taskStore, pushSender, authenticator, rateLimiter,
+      { responseStreaming });
   }
   return adapter;
 }
@@ -78,7 +102,8 @@ function createRedirect(location) {
 }
 
 /**
- * Handle GET /health - Health check endpoint
+ * Handle GET /health/live and GET /health - Liveness: the function runs and its config loaded
+ * Checks no dependency, so a datastore outage doesn't make the function look dead
  * @returns {object} Lambda response with health status
  */
 function handleHealthCheck() {
@@ -91,56 +116,178 @@ function handleHealthCheck() {
 }
 
 /**
- * Main Lambda handler
- * Routes requests to appropriate handlers using SDK components
+ * Handle GET /health/ready - Readiness: the datastore answers with a populated npidata2 table
+ * and the task store can be reached, each within config.a2a.health.timeoutMs
+ * @param {LambdaA2AAdapter} a2aAdapter - Adapter holding the task store
+ * @returns {Promise<object>} Lambda response with per-component status, 503 if any component is down
+ */
+async function handleReadinessCheck(a2aAdapter) {
+  const timeoutMs = config.a2a.health?.timeoutMs || 3000;
+  const { ready, components } = await checkReadiness({
+    datastore: async () => {
+      const reply = await CheckDatastore(timeoutMs);
+      if (reply.statusCode !== 200) {
+        throw new Error(reply.result);
+      }
+    },
+    taskStore: () => a2aAdapter.taskStore.checkHealth()
+  }, timeoutMs);
+
+  return createResponse(ready ? 200 : 503, {
+    status: ready ? 'ready' : 'not ready',
+    service: 'a2a-agent',
+    name: config.a2a.agentName,
+    version: config.a2a.agentVersion,
+    components
+  });
+}
+
+/**
+ * Handle GET /metrics - Prometheus metrics of this Lambda container
+ * Needs the same credentials as /a2a when authentication is enabled
+ * @param {object} event - Lambda Function URL event
+ * @param {LambdaA2AAdapter} a2aAdapter - Adapter holding the authenticator
+ * @returns {object} Lambda response with the metrics in the Prometheus text format
+ */
+function handleMetrics(event, a2aAdapter) {
+  const auth = a2aAdapter.authenticator.authenticate(event);
+  if (auth.error) {
+    const response = createResponse(401, { error: 'Unauthorized', message: auth.error });
+    response.headers['WWW-Authenticate'] = auth.challenges.join(', ');
+    return response;
+  }
+
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'text/plain; version=0.0.4; charset=utf-8'
+    },
+    body: registry.render()
+  };
+}
+
+/**
+ * Route a request to the appropriate handler using SDK components
  * @param {object} event - Lambda Function URL event
  * @param {object} context - Lambda context
- * @returns {Promise<object>} Lambda response
+ * @returns {Promise<object>} Lambda response, possibly carrying an events iterable
  */
-export async function handler(event, context) {
+async function routeRequest(event, context) {
   const path = event.rawPath || '/';
   const method = event.requestContext?.http?.method || 'GET';
 
-  console.log(`[handler] Incoming request: ${method} ${path}`);
+  logger.info('Incoming request', { method, path });
 
   const baseUrl = getBaseUrl(event);
   const a2aAdapter = getAdapter(baseUrl);
 
-  // Route: GET /.well-known/agent-card.json
-  if (method === 'GET' && path === '/.well-known/agent-card.json') {
-    console.log('[handler] Routing to agent card');
+  // Route: GET /.well-known/agent-card.json, and agent.json from A2A before 0.3
+  if (method === 'GET' && (path === '/.well-known/agent-card.json' || path === '/.well-known/agent.json')) {
+    logger.debug('Routing to agent card');
     return createResponse(200, a2aAdapter.getAgentCard());
   }
 
-  // Route: POST /a2a - A2A JSON-RPC endpoint
+  // Route: POST /a2a - A2A JSON-RPC endpoint, authenticated by the adapter
   if (method === 'POST' && path === '/a2a') {
-    console.log('[handler] Routing to JSON-RPC handler');
+    logger.debug('Routing to JSON-RPC handler');
     return await a2aAdapter.handleJsonRpc(event);
   }
 
-  // Route: GET /health - Health check
-  if (method === 'GET' && path === '/health') {
-    console.log('[handler] Routing to health check');
+  // Route: GET /health/live, and /health from before readiness checks - Liveness check
+  if (method === 'GET' && (path === '/health/live' || path === '/health')) {
+    logger.debug('Routing to health check');
     return handleHealthCheck();
   }
 
+  // Route: GET /health/ready - Readiness check of the datastore and task store
+  if (method === 'GET' && path === '/health/ready') {
+    logger.debug('Routing to readiness check');
+    return await handleReadinessCheck(a2aAdapter);
+  }
+
+  // Route: GET /metrics - Prometheus metrics
+  if (method === 'GET' && path === '/metrics') {
+    logger.debug('Routing to metrics');
+    return handleMetrics(event, a2aAdapter);
+  }
+
   // Route: GET / - Redirect to agent card
   if (method === 'GET' && path === '/') {
-    console.log('[handler] Routing to redirect');
+    logger.debug('Routing to redirect');
     return createRedirect('/.well-known/agent-card.json');
   }
 
   // 404 Not Found
-  console.error(`[handler] 404 Not Found: ${method} ${path}`);
+  logger.warn('Not Found', { method, path });
   return createResponse(404, {
     error: 'Not Found',
     path: path,
     method: method,
     availableRoutes: [
       'GET /.well-known/agent-card.json',
+      'GET /.well-known/agent.json',
       'POST /a2a',
+      'GET /health/live',
+      'GET /health/ready',
       'GET /health',
+      'GET /metrics',
       'GET /'
     ]
   });
 }
+
+/**
+ * Handler for BUFFERED function URLs
+ * Streaming responses are collected into a single SSE body
+ * @param {object} event - Lambda Function URL event
+ * @param {object} context - Lambda context
+ * @returns {Promise<object>} Lambda response
+ */
+async function bufferedHandler(event, context) {
+  return runWithLogContext({ requestId: context?.awsRequestId }, async () => {
+    const { pending, ...response } = await routeRequest(event, context);
+    const reply = isStreamingResponse(response) ? await bufferStreamingResponse(response) : response;
+    // The reply can't be sent before the handler returns, so work left running is finished first.
+    // Push notifications are refused in this mode, so this never waits for a webhook
+    await pending;
+    return reply;
+  });
+}
+
+/**
+ * Handler for RESPONSE_STREAM function URLs
+ * SSE events are flushed to the client as soon as they are published
+ * @param {object} event - Lambda Function URL event
+ * @param {object} responseStream - Lambda response stream
+ * @param {object} context - Lambda context
+ * @returns {Promise<void>}
+ */
+async function streamingHandler(event, responseStream, context) {
+  return runWithLogContext({ requestId: context?.awsRequestId }, async () => {
+    const response = await routeRequest(event, context);
+    const httpStream = awslambda.HttpResponseStream.from(responseStream, {
+      statusCode: response.statusCode,
+      headers: response.headers
+    });
+
+    if (isStreamingResponse(response)) {
+      for await (const payload of response.events) {
+        httpStream.write(formatSseEvent(payload));
+      }
+    } else {
+      httpStream.write(response.body);
+    }
+    httpStream.end();
+
+    // Finish the work of non-blocking requests after the client has its reply
+    await response.pending;
+  });
+}
+
+/**
+ * Main Lambda handler
+ * Uses response streaming when the runtime supports it and the function URL is configured for it
+ */
+export const handler = responseStreaming
+  ? awslambda.streamifyResponse(streamingHandler)
+  : bufferedHandler;
@@ -0,0 +1,205 @@
+/**
+ * Pluggable extraction of doctor search parameters from natural language
+ * The regex parser is the default; an LLM behind an OpenAI-compatible chat/completions
+ * endpoint (OpenAI, a local Ollama, ...) can be configured, falling back to the regex parser
+ * @module intentExtractor
+ */
+
+import { parseDoctorQuery } from './queryParser.js';
+import { validateSearchParams } from './searchSchema.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('IntentExtractor');
+
+/**
+ * Intent extractor interface implemented by every extractor:
+ * - extract(message, { followUp }): Promise<{params, interpretation, ambiguities, extractedBy}>
+ *   with the same params, interpretation and ambiguities as parseDoctorQuery, and
+ *   extractedBy naming the extractor that produced them ("regex" or "llm")
+ * @typedef {object} IntentExtractor
+ */
+
+/**
+ * JSON schema of the search fields the model is asked to return
+ * Every field is required and nullable, as strict structured outputs demand
+ */
+const SEARCH_FIELDS_SCHEMA = {
+  type: 'object',
+  properties: {
+    firstname: { type: ['string', 'null'], description: 'Doctor\'s first name' },
+    lastname: { type: ['string', 'null'], description: 'Doctor\'s last name' },
+    gender: { type: ['string', 'null'], enum: ['male', 'female', null], description: 'Doctor\'s gender' },
+    specialty: { type: ['string', 'null'], description: 'Medical specialty as written by the user, e.g. "cardiologist"' },
+    zipcode: { type: ['string', 'null'], description: '5-digit US ZIP code' },
+    city: { type: ['string', 'null'], description: 'City name' },
+    state: { type: ['string', 'null'], description: '2-letter US state code' },
+    radius: { type: ['number', 'null'], description: 'Search radius around the ZIP code, in miles' }
+  },
+  required: ['firstname', 'lastname', 'gender', 'specialty', 'zipcode', 'city', 'state', 'radius'],
+  additionalProperties: false
+};
+
+const SYSTEM_PROMPT = 'You extract doctor search parameters from a user\'s request to a doctor directory. ' +
+  'Return only the fields the user actually stated; use null for everything else. ' +
+  'Convert kilometers to miles and state names to 2-letter codes. Keep only the first 5 digits of ZIP+4 codes.';
+
+const FOLLOW_UP_PROMPT = ' The message answers a question asking for a zipcode, city or last name, ' +
+  'so a single bare name is the doctor\'s last name.';
+
+/**
+ * RegexIntentExtractor uses the rule-based query parser
+ */
+export class RegexIntentExtractor {
+  /**
+   * Extract search parameters from a message
+   * @param {string} message - Message text
+   * @param {object} [options] - Extraction options
+   * @param {boolean} [options.followUp=false] - The message answers a clarifying question
+   * @returns {Promise<{params: object, interpretation: Array, ambiguities: string[], extractedBy: string}>}
+   */
+  async extract(message, options = {}) {
+    return { ...parseDoctorQuery(message, options), extractedBy: 'regex' };
+  }
+}
+
+/**
+ * LlmIntentExtractor asks a chat model for the search fields, constrained by a JSON schema
+ * Any failure (network, timeout, invalid output) falls back to another extractor
+ */
+export class LlmIntentExtractor {
+  /**
+   * Create an LLM intent extractor
+   * @param {object} options - config.a2a.intentExtractor
+   * @param {string} options.baseUrl - Base URL of the OpenAI-compatible API, e.g. http://localhost:11434/v1
+   * @param {string} options.model - Model name
+   * @param {string} [options.apiKey] - Bearer token, if the endpoint needs one
+   * @param {number} [options.timeoutMs=5000] - Timeout of the completion request
+   * @param {IntentExtractor} [fallback] - Used when the model fails, the regex parser by default
+   */
+  constructor(options, fallback = new RegexIntentExtractor()) {
+    if (!options?.baseUrl || !options?.model) {
+      throw new Error('The llm intent extractor needs a baseUrl and a model');
+    }
+    this.url = `${options.baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    this.model = options.model;
+    this.apiKey = options.apiKey;
+    this.timeoutMs = options.timeoutMs || 5000;
+    this.fallback = fallback;
+  }
+
+  /**
+   * Extract search parameters from a message
+   * @param {string} message - Message text
+   * @param {object} [options] - Extraction options
+   * @param {boolean} [options.followUp=false] - The message answers a clarifying question
+   * @returns {Promise<{params: object, interpretation: Array, ambiguities: string[], extractedBy: string}>}
+   */
+  async extract(message, options = {}) {
+    if (!message?.trim()) {
+      return this.fallback.extract(message, options);
+    }
+
+    try {
+      const fields = await this.complete(message, options);
+      const params = this.validate(fields);
+      return {
+        params,
+        interpretation: Object.entries(params).map(([field, value]) => ({ field, value, text: String(value) })),
+        ambiguities: [],
+        extractedBy: 'llm'
+      };
+    } catch (error) {
+      logger.warn('Falling back to regex parser', { error });
+      return this.fallback.extract(message, options);
+    }
+  }
+
+  /**
+   * Call the chat/completions endpoint
+   * @param {string} message - Message text
+   * @param {object} options - Extraction options
+   * @returns {Promise<object>} Fields returned by the model
+   * @throws {Error} If the request fails or the reply is not a JSON object
+   */
+  async complete(message, options) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.model,
+        temperature: 0,
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT + (options.followUp ? FOLLOW_UP_PROMPT : '') },
+          { role: 'user', content: message }
+        ],
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: 'doctor_search', strict: true, schema: SEARCH_FIELDS_SCHEMA }
+        }
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`chat/completions returned status ${response.status}`);
+    }
+
+    const reply = await response.json();
+    const content = reply.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('chat/completions reply has no message content');
+    }
+
+    const fields = JSON.parse(content);
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw new Error('Model output is not a JSON object');
+    }
+    return fields;
+  }
+
+  /**
+   * Validate the model's fields against the search parameter schema
+   * @param {object} fields - Fields returned by the model, null for fields not stated
+   * @returns {object} Normalized search parameters
+   * @throws {Error} If the fields are invalid
+   */
+  validate(fields) {
+    const stated = Object.fromEntries(
+      Object.entries(fields).filter(([, value]) => value !== null && value !== undefined && value !== '')
+    );
+    const { params, errors } = validateSearchParams(stated);
+    if (errors) {
+      throw new Error(`Invalid model output: ${errors.join('; ')}`);
+    }
+
+    const { pageToken, pageSize, ...searchParams } = params;
+    return searchParams;
+  }
+}
+
+/**
+ * Create the intent extractor selected in config.json
+ * @param {object} [extractorConfig] - config.a2a.intentExtractor
+ * @param {string} [extractorConfig.type=regex] - "regex" or "llm"
+ * @returns {IntentExtractor} Intent extractor
+ * @throws {Error} If the type is unknown
+ */
+export function createIntentExtractor(extractorConfig = {}) {
+  const type = extractorConfig.type || 'regex';
+
+  switch (type) {
+    case 'regex':
+      return new RegexIntentExtractor();
+
+    case 'llm':
+      return new LlmIntentExtractor(extractorConfig);
+
+    default:
+      throw new Error(`Unknown intent extractor type: ${type}. Supported types: regex, llm`);
+  }
+}
@@ -4,6 +4,18 @@
  * @module lambdaAdapter
  */
 
+import { ExecutionEventQueue } from './streaming.js';
+import { InMemoryTaskStore } from './taskStore.js';
+import { PushNotificationSender, validatePushConfig } from './pushNotifications.js';
+import { RequestAuthenticator } from './auth.js';
+import { RateLimiter } from './rateLimiter.js';
+import { createExtendedAgentCard } from './agentCard.js';
+import { createLogger, runWithLogContext, addLogContext } from './logger.js';
+import { jsonRpcCalls, jsonRpcDuration, taskOutcomes } from './metrics.js';
+import { validateParams } from './paramsSchema.js';
+
+const logger = createLogger('LambdaA2AAdapter');
+
 /**
  * JSON-RPC 2.0 error codes
  */
@@ -13,9 +25,63 @@ const ErrorCodes = {
   METHOD_NOT_FOUND: -32601,
   INVALID_PARAMS: -32602,
   INTERNAL_ERROR: -32603,
-  SERVER_ERROR: -32000
+  SERVER_ERROR: -32000,
+  TASK_NOT_FOUND: -32001,
+  TASK_NOT_CANCELABLE: -32002,
+  PUSH_NOTIFICATION_NOT_SUPPORTED: -32003,
+  UNSUPPORTED_OPERATION: -32004,
+  EXTENDED_CARD_NOT_CONFIGURED: -32007,
+  RATE_LIMIT_EXCEEDED: -32029
 };
 
+/**
+ * Task states after which a task can no longer change
+ */
+const TERMINAL_STATES = ['completed', 'canceled', 'failed', 'rejected'];
+
+/**
+ * States that end a task's event stream: terminal ones and waiting for input
+ */
+const FINAL_STREAM_STATES = [...TERMINAL_STATES, 'input-required'];
+
+/**
+ * Most calls accepted in one JSON-RPC batch
+ */
+const MAX_BATCH_SIZE = 20;
+
+/**
+ * Methods answered with a Server-Sent Events stream
+ */
+const STREAMING_METHODS = ['message/stream', 'tasks/resubscribe'];
+
+/**
+ * tasks/resubscribe polls the task store, as the task may be running in another Lambda container.
+ * The stream gives up before the function's 30 s timeout; clients can resubscribe again
+ */
+const RESUBSCRIBE_POLL_MS = 1000;
+const RESUBSCRIBE_TIMEOUT_MS = 25000;
+
+/**
+ * Supported methods, listed in "Method not found" errors
+ */
+const SUPPORTED_METHODS = [
+  'message/send', 'message/stream', 'tasks/get', 'tasks/cancel', 'tasks/resubscribe',
+  'tasks/pushNotificationConfig/set', 'tasks/pushNotificationConfig/get', 'agent/getAuthenticatedExtendedCard'
+];
+
+/**
+ * Tasks are stored with the principal that created them as their owner, which is never sent to clients
+ * @param {object} [stored] - Task as stored
+ * @returns {object|undefined} The task without its owner
+ */
+function withoutOwner(stored) {
+  if (!stored) {
+    return stored;
+  }
+  const { owner, ...task } = stored;
+  return task;
+}
+
 /**
  * LambdaA2AAdapter bridges Lambda events to A2A SDK components
  * Handles JSON-RPC routing and protocol validation
@@ -25,11 +91,24 @@ export class LambdaA2AAdapter {
    * Create a new Lambda A2A adapter
    * @param {object} agentCard - The agent card definition
    * @param {object} executor - AgentExecutor implementation
+   * @param {object} [taskStore] - Task store backend (see taskStore.js), in-memory by default
+   * @param {object} [pushSender] - Delivers push notifications to client webhooks
+   * @param {RequestAuthenticator} [authenticator] - Checks request credentials, accepts every request by default
+   * @param {RateLimiter} [rateLimiter] - Applies per-client limits, no limits by default
+   * @param {object} [options] - Adapter options
+   * @param {boolean} [options.responseStreaming=true] - Whether the handler can reply before its work is done
+   *   (RESPONSE_STREAM); BUFFERED handlers can't, so non-blocking message/send and tasks/resubscribe are refused,
+   *   and so are push notifications, which would hold every reply until the webhooks answered
    */
-  constructor(agentCard, executor) {
+  constructor(agentCard, executor, taskStore = new InMemoryTaskStore(), pushSender = new PushNotificationSender(),
+    authenticator = new RequestAuthenticator(), rateLimiter = new RateLimiter(null, taskStore), options = {}) {
     this.agentCard = agentCard;
     this.executor = executor;
-    this.tasks = new Map(); // In-memory task storage (per Lambda invocation)
+    this.taskStore = taskStore;
+    this.pushSender = pushSender;
+    this.authenticator = authenticator;
+    this.rateLimiter = rateLimiter;
+    this.responseStreaming = options.responseStreaming ?? true;
   }
 
   /**
@@ -41,57 +120,245 @@ export class LambdaA2AAdapter {
   }
 
   /**
-   * Handle a JSON-RPC request from Lambda
+   * Handle a JSON-RPC request, or a batch of them, from Lambda
    * @param {object} event - Lambda event object
    * @returns {Promise<object>} Lambda response with JSON-RPC result
    */
   async handleJsonRpc(event) {
+    const started = Date.now();
+
     // Parse request body
     let body;
     try {
       body = JSON.parse(event.body || '{}');
     } catch {
-      return this.createJsonRpcErrorResponse(
+      return this.recordCall(undefined, started, this.createJsonRpcErrorResponse(
         null,
         ErrorCodes.PARSE_ERROR,
         'Parse error: Invalid JSON'
+      ));
+    }
+
+    const isBatch = Array.isArray(body);
+    const id = isBatch ? null : body?.id ?? null;
+    const method = isBatch ? 'batch' : body?.method;
+
+    // Authenticate before anything about the request is logged or executed
+    const auth = this.authenticator.authenticate(event);
+    if (auth.error) {
+      logger.warn('Rejected unauthenticated request', { reason: auth.error });
+      return this.recordCall(method, started, this.createUnauthorizedResponse(id, auth));
+    }
+
+    if (isBatch) {
+      return await this.handleBatch(body, auth, event);
+    }
+
+    const limit = await this.rateLimiter.check(auth.principal, event);
+    if (!limit.allowed) {
+      logger.warn('Rejected request over its limits', { client: limit.client, reason: limit.message });
+      return this.recordCall(method, started, this.createRateLimitedResponse(id, limit));
+    }
+
+    return await runWithLogContext({ jsonRpcId: id ?? undefined }, async () => {
+      logger.info('Incoming JSON-RPC request', { method, principal: auth.principal });
+      logger.debug('Request body', { body });
+      return this.recordCall(method, started, await this.handleCall(body, auth));
+    });
+  }
+
+  /**
+   * Count a JSON-RPC call, by method and result code, and its duration in the metrics
+   * @param {*} method - Method called; unknown ones are counted as "other"
+   * @param {number} started - When the call was received, ms since epoch
+   * @param {object} response - Lambda response to the call
+   * @returns {object} The response, unchanged
+   */
+  recordCall(method, started, response) {
+    const label = SUPPORTED_METHODS.includes(method) || method === 'batch' ? method : 'other';
+
+    let code = 'ok';
+    if (response.body) {
+      const error = JSON.parse(response.body).error;
+      code = error ? String(error.code) : 'ok';
+    }
+
+    jsonRpcCalls.inc({ method: label, code });
+    jsonRpcDuration.observe({ method: label }, (Date.now() - started) / 1000);
+    return response;
+  }
+
+  /**
+   * Handle a JSON-RPC batch: run its calls in parallel and reply with an array of their responses
+   * Notifications (calls without an id) get no response; a batch of notifications only gets HTTP 204.
+   * Work left running after the reply (non-blocking executions, webhook notifications) is carried in the response's pending promise
+   * @param {Array} calls - Members of the batch
+   * @param {{principal: string}} auth - Authenticated caller
+   * @param {object} event - Lambda event object
+   * @returns {Promise<object>} Lambda response with the array of JSON-RPC responses
+   */
+  async handleBatch(calls, auth, event) {
+    const started = Date.now();
+    if (calls.length === 0) {
+      return this.recordCall('batch', started,
+        this.createJsonRpcErrorResponse(null, ErrorCodes.INVALID_REQUEST, 'Invalid Request: empty batch'));
+    }
+    if (calls.length > MAX_BATCH_SIZE) {
+      return this.recordCall('batch', started, this.createJsonRpcErrorResponse(
+        null,
+        ErrorCodes.INVALID_REQUEST,
+        `Invalid Request: batches are limited to ${MAX_BATCH_SIZE} calls`
+      ));
+    }
+
+    logger.info('Incoming JSON-RPC batch', { calls: calls.length, principal: auth.principal });
+    logger.debug('Request body', { body: calls });
+
+    // Each call logs with its own JSON-RPC id, taskId and contextId
+    const outcomes = await Promise.all(calls.map(call => runWithLogContext(
+      { jsonRpcId: call?.id ?? undefined },
+      () => this.handleBatchCall(call, auth, event)
+    )));
+    const responses = outcomes.map(outcome => outcome.reply).filter(reply => reply !== null);
+    const pending = outcomes.map(outcome => outcome.pending).filter(Boolean);
+
+    const response = responses.length === 0
+      ? { statusCode: 204, headers: {}, body: '' }
+      : {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(responses)
+      };
+    if (pending.length > 0) {
+      response.pending = Promise.all(pending);
+    }
+    return response;
+  }
+
+  /**
+   * Handle one call of a batch
+   * Every call counts against the caller's rate limit. Invalid calls always get an error response,
+   * with a null id when theirs can't be read
+   * @param {*} call - Member of the batch
+   * @param {{principal: string}} auth - Authenticated caller
+   * @param {object} event - Lambda event object
+   * @returns {Promise<{reply: object|null, pending?: Promise}>} JSON-RPC response, null for notifications,
+   *   and the work a non-blocking call left running
+   */
+  async handleBatchCall(call, auth, event) {
+    const started = Date.now();
+    const isRequest = this.isJsonRpcRequest(call);
+    const isNotification = isRequest && !('id' in call);
+    const id = isRequest ? call.id ?? null : null;
+
+    let response;
+    if (isRequest && STREAMING_METHODS.includes(call.method)) {
+      // A batch has a single JSON body, there is no stream to send the events on
+      response = this.createJsonRpcErrorResponse(
+        id,
+        ErrorCodes.UNSUPPORTED_OPERATION,
+        `${call.method} cannot be batched, send it on its own`
       );
+    } else {
+      const limit = await this.rateLimiter.check(auth.principal, event);
+      response = limit.allowed ? await this.handleCall(call, auth) : this.createRateLimitedResponse(id, limit);
     }
 
-    console.log('[LambdaA2AAdapter] Incoming JSON-RPC request:', JSON.stringify(body));
+    this.recordCall(isRequest ? call.method : undefined, started, response);
+    return { reply: isNotification ? null : JSON.parse(response.body), pending: response.pending };
+  }
 
-    const { jsonrpc, method, params, id } = body;
+  /**
+   * Check that a value is a well-formed JSON-RPC 2.0 request
+   * @param {*} call - Parsed request
+   * @returns {boolean} True if it is an object with jsonrpc "2.0" and a method name
+   */
+  isJsonRpcRequest(call) {
+    return call !== null && typeof call === 'object' && !Array.isArray(call) &&
+      call.jsonrpc === '2.0' && typeof call.method === 'string';
+  }
+
+  /**
+   * Validate a JSON-RPC request and route it to its method handler
+   * @param {*} call - Parsed request
+   * @param {{principal: string}} auth - Authenticated caller
+   * @returns {Promise<object>} Lambda response with JSON-RPC result
+   */
+  async handleCall(call, auth) {
+    const isObject = call !== null && typeof call === 'object' && !Array.isArray(call);
+    const { jsonrpc, method, id = null } = isObject ? call : {};
 
     // Validate JSON-RPC 2.0 format
     if (jsonrpc !== '2.0') {
       return this.createJsonRpcErrorResponse(
-        id || null,
+        id,
         ErrorCodes.INVALID_REQUEST,
         'Invalid Request: jsonrpc must be "2.0"'
       );
     }
+    if (typeof method !== 'string') {
+      return this.createJsonRpcErrorResponse(
+        id,
+        ErrorCodes.INVALID_REQUEST,
+        'Invalid Request: method must be a string'
+      );
+    }
+
+    // Check the params against the method's schema; legacy string messages become Messages
+    const validation = validateParams(method, call.params);
+    if (validation.errors) {
+      return this.createJsonRpcErrorResponse(
+        id,
+        ErrorCodes.INVALID_PARAMS,
+        `Invalid params: ${validation.errors.map(error => `${error.field}: ${error.message}`).join('; ')}`,
+        { errors: validation.errors }
+      );
+    }
+    const params = validation.params;
+
+    // tasks/* methods name their task in the params
+    if (method.startsWith('tasks/')) {
+      addLogContext({ taskId: params?.id ?? params?.taskId });
+    }
 
     // Route to method handler
     try {
       switch (method) {
         case 'message/send':
-          return await this.handleMessageSend(params, id);
+          return await this.handleMessageSend(params, id, auth);
+
+        case 'message/stream':
+          return await this.handleMessageStream(params, id, auth);
 
         case 'tasks/get':
-          return this.handleTasksGet(params, id);
+          return await this.handleTasksGet(params, id, auth);
 
         case 'tasks/cancel':
-          return this.handleTasksCancel(params, id);
+          return await this.handleTasksCancel(params, id, auth);
+
+        case 'tasks/resubscribe':
+          return await this.handleTasksResubscribe(params, id, auth);
+
+        case 'tasks/pushNotificationConfig/set':
+          return await this.handlePushConfigSet(params, id, auth);
+
+        case 'tasks/pushNotificationConfig/get':
+          return await this.handlePushConfigGet(params, id, auth);
+
+        case 'agent/getAuthenticatedExtendedCard':
+          return this.handleGetExtendedCard(id, auth);
 
         default:
           return this.createJsonRpcErrorResponse(
             id,
             ErrorCodes.METHOD_NOT_FOUND,
-            `Method not found: ${method}. Supported methods: message/send, tasks/get, tasks/cancel`
+            `Method not found: ${method}. Supported methods: ${SUPPORTED_METHODS.join(', ')}`
           );
       }
     } catch (error) {
-      console.error('[LambdaA2AAdapter] Error handling method:', error.message);
+      logger.error('Error handling method', { method, error });
       return this.createJsonRpcErrorResponse(
         id,
         ErrorCodes.INTERNAL_ERROR,
@@ -101,127 +368,619 @@ export class LambdaA2AAdapter {
   }
 
   /**
-   * Handle message/send method - execute a new task
+   * Handle message/send method - execute a new task or continue one waiting for input
    * @param {object} params - Request parameters with message
    * @param {string|number} id - JSON-RPC request ID
+   * @param {{principal: string}} auth - Authenticated caller
    * @returns {Promise<object>} Lambda response with task result
    */
-  async handleMessageSend(params, id) {
-    console.log('[LambdaA2AAdapter] Handling message/send');
+  async handleMessageSend(params, id, auth) {
+    logger.debug('Handling message/send');
 
-    if (!params || !params.message) {
+    if (params.configuration?.blocking === false && !this.responseStreaming) {
       return this.createJsonRpcErrorResponse(
         id,
-        ErrorCodes.INVALID_PARAMS,
-        'Invalid params: message is required'
+        ErrorCodes.UNSUPPORTED_OPERATION,
+        'Non-blocking message/send is unsupported in buffered mode, the reply would wait for the task anyway'
       );
     }
 
-    // Generate task and context IDs
-    const taskId = params.id || `task-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    const contextId = params.contextId || `ctx-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    if (params.configuration?.pushNotificationConfig && !this.responseStreaming) {
+      return this.createPushUnsupportedResponse(id);
+    }
+    const pushConfigError = this.validateMessagePushConfig(params);
+    if (pushConfigError) {
+      return this.createJsonRpcErrorResponse(id, ErrorCodes.INVALID_PARAMS, `Invalid params: ${pushConfigError}`);
+    }
 
-    // Create initial task object
-    const task = {
-      id: taskId,
-      contextId: contextId,
-      status: { state: 'submitted' },
-      history: []
-    };
+    const { task, requestContext, error } = await this.createTaskContext(params, auth);
+    if (error) {
+      return this.createJsonRpcErrorResponse(id, error.code, error.message);
+    }
+    const taskId = task.id;
+    await this.registerTask(task, params, auth);
+
+    const historyLength = params.configuration?.historyLength;
+    if (params.configuration?.blocking === false) {
+      return await this.executeInBackground(task, requestContext, id, historyLength);
+    }
+
+    // message/send only returns the final task, so intermediate events are just logged
+    const eventBus = this.createEventBus(task);
+
+    // Execute the task
+    logger.debug('Executing task');
+    let result = await this.executor.execute(requestContext, eventBus);
+
+    // Store task result for later tasks/get and tasks/cancel calls
+    result = await this.storeResult(result, eventBus);
+
+    // A failed task is returned with its failed status (not a JSON-RPC error)
+    logger.info('Task finished', { state: result.status?.state });
+    const response = this.createJsonRpcSuccessResponse(id, this.applyHistoryLength(result, historyLength));
+    // Webhooks are notified after the reply
+    response.pending = eventBus.flush();
+    return response;
+  }
+
+  /**
+   * Execute a non-blocking message/send: reply once the task is working and finish it in the background
+   * The handler sends the reply and then waits for the response's pending promise, as Lambda
+   * freezes the container once the handler returns
+   * @param {object} task - The new or continued task, already registered
+   * @param {object} requestContext - Executor request context
+   * @param {string|number} id - JSON-RPC request ID
+   * @param {number} [historyLength] - Most history messages to return
+   * @returns {Promise<object>} Lambda response with the working task and a pending promise
+   */
+  async executeInBackground(task, requestContext, id, historyLength) {
+    let started;
+    const firstStatus = new Promise(resolve => { started = resolve; });
+    const eventBus = this.createEventBus(task, {
+      publish: (event) => {
+        logger.debug('Event published', { event });
+        if (event.kind === 'status-update') {
+          started(event.status);
+        }
+      }
+    });
+
+    logger.debug('Executing task in the background');
+    const pending = this.executor.execute(requestContext, eventBus)
+      .then(result => this.storeResult(result, eventBus))
+      .catch(async error => {
+        logger.error('Error during background execution', { error });
+        await this.storeResult({ ...task, status: { state: 'failed', timestamp: new Date().toISOString() } }, eventBus)
+          .catch(storeError => logger.error('Error storing failed task', { error: storeError }));
+      })
+      .finally(() => started(null))
+      .then(() => eventBus.flush());
+
+    // Executors publish "working" right away; one that doesn't is replied to once it's done
+    const status = await firstStatus;
+    const snapshot = status ? { ...task, status } : withoutOwner(await this.taskStore.load(task.id)) || task;
+
+    const response = this.createJsonRpcSuccessResponse(id, this.applyHistoryLength(snapshot, historyLength));
+    response.pending = pending;
+    return response;
+  }
+
+  /**
+   * Handle message/stream method - execute a task and stream its events as SSE
+   * @param {object} params - Request parameters with message
+   * @param {string|number} id - JSON-RPC request ID
+   * @param {{principal: string}} auth - Authenticated caller
+   * @returns {Promise<object>} Lambda response with an events iterable, or a JSON-RPC error
+   */
+  async handleMessageStream(params, id, auth) {
+    logger.debug('Handling message/stream');
+
+    if (params.configuration?.pushNotificationConfig && !this.responseStreaming) {
+      return this.createPushUnsupportedResponse(id);
+    }
+    const pushConfigError = this.validateMessagePushConfig(params);
+    if (pushConfigError) {
+      return this.createJsonRpcErrorResponse(id, ErrorCodes.INVALID_PARAMS, `Invalid params: ${pushConfigError}`);
+    }
+
+    const { task, requestContext, error } = await this.createTaskContext(params, auth);
+    if (error) {
+      return this.createJsonRpcErrorResponse(id, error.code, error.message);
+    }
+    await this.registerTask(task, params, auth);
+
+    // The executor publishes straight into the queue the client is reading from
+    const eventQueue = new ExecutionEventQueue();
+    const eventBus = this.createEventBus(task, eventQueue);
+    eventQueue.publish({ ...task, kind: 'task' });
+
+    logger.debug('Streaming task');
+    const execution = this.executor.execute(requestContext, eventBus)
+      .then(async result => {
+        eventQueue.publish(this.createFinalStatusEvent(await this.storeResult(result, eventBus)));
+      })
+      .catch(error => {
+        logger.error('Error during streamed execution', { error });
+        taskOutcomes.inc({ state: 'failed' });
+        eventQueue.publish(this.createFinalStatusEvent({
+          ...task,
+          status: { state: 'failed', timestamp: new Date().toISOString() }
+        }));
+      })
+      .finally(() => eventQueue.close());
+
+    const response = this.createSseResponse(id, eventQueue);
+    // Webhooks are notified after the stream is closed
+    response.pending = execution.then(() => eventBus.flush());
+    return response;
+  }
+
+  /**
+   * Create the task and executor request context for a message
+   * A message continues an existing task when it references its taskId, or when its contextId
+   * has a task waiting for input; otherwise a new task is created
+   * @param {object} params - message/send or message/stream parameters
+   * @param {{principal: string}} auth - Authenticated caller, who can only continue their own tasks
+   * @returns {Promise<{task: object, requestContext: object}|{error: {code: number, message: string}}>}
+   *   Task and its request context, or the JSON-RPC error to return
+   */
+  async createTaskContext(params, auth) {
+    const message = params.message;
+    const requestedContextId = message.contextId || params.contextId;
+
+    let task;
+    let previousTask;
+    if (message.taskId) {
+      task = await this.loadOwnTask(message.taskId, auth);
+      if (!task) {
+        return { error: { code: ErrorCodes.TASK_NOT_FOUND, message: `Task not found: ${message.taskId}` } };
+      }
+    } else if (requestedContextId) {
+      const contextTasks = (await this.taskStore.findByContextId(requestedContextId))
+        .filter(contextTask => contextTask.owner === auth.principal)
+        .map(withoutOwner);
+      task = contextTasks.find(contextTask => contextTask.status.state === 'input-required');
+      // A new task in the context can build on the latest one, e.g. "show more"
+      previousTask = task ? undefined : contextTasks[0];
+    }
+
+    if (task && TERMINAL_STATES.includes(task.status.state)) {
+      return {
+        error: {
+          code: ErrorCodes.UNSUPPORTED_OPERATION,
+          message: `Task ${task.id} is already ${task.status.state} and cannot accept further messages`
+        }
+      };
+    }
+
+    if (task) {
+      logger.debug('Continuing task', { taskId: task.id });
+    } else {
+      // Task IDs are always generated here, so a client can't overwrite another task by naming it
+      const taskId = `task-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      const contextId = requestedContextId || `ctx-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+      // Create initial task object
+      task = {
+        id: taskId,
+        contextId: contextId,
+        status: { state: 'submitted' },
+        history: []
+      };
+    }
+
+    addLogContext({ taskId: task.id, contextId: task.contextId });
+
+    // Record the user message in the task history
+    const userMessage = { ...message, taskId: task.id, contextId: task.contextId };
+    task.history = [...(task.history || []), userMessage];
 
     // Build request context for executor
     const requestContext = {
-      userMessage: params.message,
+      userMessage: userMessage,
       task: task,
-      contextId: contextId
+      contextId: task.contextId,
+      previousTask: previousTask
     };
 
-    // Simple event bus for status updates (logging only for now)
-    const eventBus = {
+    return { task, requestContext };
+  }
+
+  /**
+   * Check the optional push notification config sent with a message
+   * @param {object} params - message/send or message/stream parameters
+   * @returns {string|null} Error message, or null if absent or valid
+   */
+  validateMessagePushConfig(params) {
+    const pushConfig = params.configuration?.pushNotificationConfig;
+    return pushConfig ? validatePushConfig(pushConfig) : null;
+  }
+
+  /**
+   * Save a task and the push notification config sent with its message, if any
+   * @param {object} task - The new or continued task
+   * @param {object} params - message/send or message/stream parameters
+   * @param {{principal: string}} auth - Authenticated caller, stored as the task's owner
+   * @returns {Promise<void>}
+   */
+  async registerTask(task, params, auth) {
+    // A task answering its clarifying question is submitted again, not waiting for input anymore.
+    // Only the stored copy changes: the executor still needs to see what the task was waiting for
+    await this.taskStore.save({
+      ...task,
+      ...(task.status.state === 'input-required' && { status: { state: 'submitted', timestamp: new Date().toISOString() } }),
+      owner: auth.principal
+    });
+
+    const pushConfig = params.configuration?.pushNotificationConfig;
+    if (pushConfig) {
+      await this.taskStore.savePushConfig(task.id, pushConfig);
+    }
+  }
+
+  /**
+   * Create the event bus handed to the executor
+   * Forwards events to the stream (or the log) and queues a notification of the task's webhook on state changes.
+   * Notifications are delivered one after another so retries cannot reorder them, and all of them share
+   * the sender's maxTotalMs from the first one, so a slow webhook can't hold the invocation until Lambda's timeout
+   * @param {object} task - The task being executed
+   * @param {object} [eventQueue] - Stream to forward events to; events are logged when absent
+   * @returns {{publish: function(object): void, notify: function(object): void, flush: function(): Promise<void>}}
+   *   Event bus; flush waits for the queued notifications
+   */
+  createEventBus(task, eventQueue) {
+    let deliveries = Promise.resolve();
+    let deadline;
+    let lastState = task.status.state;
+
+    const notify = (snapshot) => {
+      lastState = snapshot.status.state;
+      deliveries = deliveries.then(() => {
+        deadline ??= Date.now() + this.pushSender.maxTotalMs;
+        return this.notifyStateChange(snapshot, deadline);
+      });
+    };
+
+    return {
       publish: (event) => {
-        console.log('[LambdaA2AAdapter] Event published:', JSON.stringify(event));
+        if (eventQueue) {
+          eventQueue.publish(event);
+        } else {
+          logger.debug('Event published', { event });
+        }
+
+        if (event.kind === 'status-update' && event.status.state !== lastState) {
+          notify({ ...task, status: event.status });
+        }
+      },
+      notify,
+      flush: async () => {
+        await deliveries;
       }
     };
+  }
 
-    // Execute the task
-    console.log('[LambdaA2AAdapter] Executing task:', taskId);
-    const result = await this.executor.execute(requestContext, eventBus);
-
-    // Store task result (for potential tasks/get calls within same invocation)
-    this.tasks.set(taskId, result);
+  /**
+   * Send the task to its registered webhook, if the client set one
+   * Delivery failures are logged by the sender and never fail the request
+   * @param {object} task - Task in its new state
+   * @param {number} [deadline] - Time (ms since epoch) after which the delivery is abandoned
+   * @returns {Promise<void>}
+   */
+  async notifyStateChange(task, deadline) {
+    // Buffered handlers don't take webhooks, but a task store shared with a streaming deployment may have some
+    if (!this.responseStreaming) {
+      return;
+    }
+    try {
+      const pushConfig = await this.taskStore.loadPushConfig(task.id);
+      if (pushConfig) {
+        await this.pushSender.send(pushConfig, task, deadline);
+      }
+    } catch (error) {
+      logger.error('Error sending push notification', { error });
+    }
+  }
 
-    // Check if executor returned an error state
-    if (result.status && result.status.state === 'failed') {
-      // Return the task with failed status (not a JSON-RPC error)
-      return this.createJsonRpcSuccessResponse(id, result);
+  /**
+   * Store the task returned by the executor and queue the notification of its webhook, unless it was canceled meanwhile
+   * @param {object} result - Task returned by the executor
+   * @param {object} eventBus - Event bus of the execution, delivering the notification
+   * @returns {Promise<object>} The task as stored
+   */
+  async storeResult(result, eventBus) {
+    const stored = await this.taskStore.load(result.id);
+    if (stored && stored.status.state === 'canceled') {
+      logger.info('Task was canceled during execution', { taskId: result.id });
+      return withoutOwner(stored);
     }
 
-    console.log('[LambdaA2AAdapter] Task completed successfully');
-    return this.createJsonRpcSuccessResponse(id, result);
+    await this.taskStore.save({ ...result, owner: stored?.owner });
+    taskOutcomes.inc({ state: result.status.state });
+    eventBus.notify(result);
+    return result;
+  }
+
+  /**
+   * Create the final status-update event closing a task stream
+   * @param {object} result - Task returned by the executor
+   * @returns {object} TaskStatusUpdateEvent with final set
+   */
+  createFinalStatusEvent(result) {
+    const history = result.history || [];
+
+    return {
+      kind: 'status-update',
+      taskId: result.id,
+      contextId: result.contextId,
+      status: {
+        ...result.status,
+        message: history[history.length - 1]
+      },
+      final: true
+    };
+  }
+
+  /**
+   * Load a task on behalf of a caller
+   * Tasks belong to the principal that created them; another caller's task is reported as not found
+   * @param {string} taskId - Task ID
+   * @param {{principal: string}} auth - Authenticated caller
+   * @returns {Promise<object|undefined>} The task without its owner, or undefined
+   */
+  async loadOwnTask(taskId, auth) {
+    const stored = await this.taskStore.load(taskId);
+    return stored?.owner === auth.principal ? withoutOwner(stored) : undefined;
   }
 
   /**
    * Handle tasks/get method - retrieve task status
    * @param {object} params - Request parameters with task ID
    * @param {string|number} id - JSON-RPC request ID
-   * @returns {object} Lambda response with task or error
+   * @param {{principal: string}} auth - Authenticated caller
+   * @returns {Promise<object>} Lambda response with task or error
+   */
+  async handleTasksGet(params, id, auth) {
+    logger.debug('Handling tasks/get');
+
+    const task = await this.loadOwnTask(params.id, auth);
+
+    if (!task) {
+      return this.createJsonRpcErrorResponse(
+        id,
+        ErrorCodes.TASK_NOT_FOUND,
+        `Task not found: ${params.id}`
+      );
+    }
+
+    return this.createJsonRpcSuccessResponse(id, this.applyHistoryLength(task, params.historyLength));
+  }
+
+  /**
+   * Keep only the latest messages of a task's history, as requested with historyLength
+   * @param {object} task - Task to return
+   * @param {number} [historyLength] - Most history messages to return, all when absent
+   * @returns {object} The task, or a copy with its history cut
+   */
+  applyHistoryLength(task, historyLength) {
+    if (!Number.isInteger(historyLength) || historyLength < 0 || !task.history) {
+      return task;
+    }
+    return { ...task, history: historyLength === 0 ? [] : task.history.slice(-historyLength) };
+  }
+
+  /**
+   * Handle tasks/resubscribe method - stream the events of a task from its current state on
+   * @param {object} params - Request parameters with task ID
+   * @param {string|number} id - JSON-RPC request ID
+   * @param {{principal: string}} auth - Authenticated caller
+   * @returns {Promise<object>} Lambda response with an events iterable, or a JSON-RPC error
    */
-  handleTasksGet(params, id) {
-    console.log('[LambdaA2AAdapter] Handling tasks/get');
+  async handleTasksResubscribe(params, id, auth) {
+    logger.debug('Handling tasks/resubscribe');
 
-    if (!params || !params.id) {
+    if (!this.responseStreaming) {
       return this.createJsonRpcErrorResponse(
         id,
-        ErrorCodes.INVALID_PARAMS,
-        'Invalid params: id is required'
+        ErrorCodes.UNSUPPORTED_OPERATION,
+        'tasks/resubscribe is unsupported in buffered mode, use tasks/get to follow the task'
       );
     }
 
-    const task = this.tasks.get(params.id);
+    const task = await this.loadOwnTask(params.id, auth);
 
     if (!task) {
       return this.createJsonRpcErrorResponse(
         id,
-        ErrorCodes.SERVER_ERROR,
-        `Task not found: ${params.id}. Note: Tasks are only stored within a single Lambda invocation.`
+        ErrorCodes.TASK_NOT_FOUND,
+        `Task not found: ${params.id}`
       );
     }
 
-    return this.createJsonRpcSuccessResponse(id, task);
+    return this.createSseResponse(id, this.followTask(task));
+  }
+
+  /**
+   * Follow a task in the task store until it reaches a final state
+   * Starts with the task itself, then sends new artifacts and status changes as they are stored
+   * @param {object} task - Task as currently stored
+   * @returns {AsyncGenerator<object>} A2A events, the last status-update marked final
+   */
+  async *followTask(task) {
+    yield { ...task, kind: 'task' };
+
+    let last = task;
+    const deadline = Date.now() + RESUBSCRIBE_TIMEOUT_MS;
+    while (!FINAL_STREAM_STATES.includes(last.status.state) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, RESUBSCRIBE_POLL_MS));
+      const current = withoutOwner(await this.taskStore.load(task.id));
+      if (!current) {
+        return;
+      }
+
+      for (const artifact of (current.artifacts || []).slice((last.artifacts || []).length)) {
+        yield { kind: 'artifact-update', taskId: current.id, contextId: current.contextId, artifact, lastChunk: true };
+      }
+      if (current.status.state !== last.status.state || current.status.timestamp !== last.status.timestamp) {
+        yield FINAL_STREAM_STATES.includes(current.status.state)
+          ? this.createFinalStatusEvent(current)
+          : { kind: 'status-update', taskId: current.id, contextId: current.contextId, status: current.status, final: false };
+      }
+      last = current;
+    }
+  }
+
+  /**
+   * Handle agent/getAuthenticatedExtendedCard method - the agent card with the caller's limits
+   * @param {string|number} id - JSON-RPC request ID
+   * @param {{principal: string}} auth - Authenticated caller
+   * @returns {object} Lambda response with the extended agent card or error
+   */
+  handleGetExtendedCard(id, auth) {
+    logger.debug('Handling agent/getAuthenticatedExtendedCard');
+
+    if (!this.agentCard.supportsAuthenticatedExtendedCard) {
+      return this.createJsonRpcErrorResponse(
+        id,
+        ErrorCodes.EXTENDED_CARD_NOT_CONFIGURED,
+        'Authenticated extended card not configured: authentication is disabled'
+      );
+    }
+
+    const client = this.rateLimiter.clientKey(auth.principal, {});
+    return this.createJsonRpcSuccessResponse(
+      id,
+      createExtendedAgentCard(this.agentCard, client, this.rateLimiter.limitsFor(client))
+    );
   }
 
   /**
    * Handle tasks/cancel method - cancel a running task
    * @param {object} params - Request parameters with task ID
    * @param {string|number} id - JSON-RPC request ID
-   * @returns {object} Lambda response with cancelled task or error
+   * @param {{principal: string}} auth - Authenticated caller
+   * @returns {Promise<object>} Lambda response with cancelled task or error
    */
-  handleTasksCancel(params, id) {
-    console.log('[LambdaA2AAdapter] Handling tasks/cancel');
+  async handleTasksCancel(params, id, auth) {
+    logger.debug('Handling tasks/cancel');
+
+    const task = await this.loadOwnTask(params.id, auth);
 
-    if (!params || !params.id) {
+    if (!task) {
       return this.createJsonRpcErrorResponse(
         id,
-        ErrorCodes.INVALID_PARAMS,
-        'Invalid params: id is required'
+        ErrorCodes.TASK_NOT_FOUND,
+        `Task not found: ${params.id}`
+      );
+    }
+
+    if (TERMINAL_STATES.includes(task.status.state)) {
+      return this.createJsonRpcErrorResponse(
+        id,
+        ErrorCodes.TASK_NOT_CANCELABLE,
+        `Task cannot be canceled: ${params.id} is already ${task.status.state}`
       );
     }
 
-    const task = this.tasks.get(params.id);
+    // Mark task as cancelled
+    task.status = { state: 'canceled', timestamp: new Date().toISOString() };
+    await this.taskStore.save({ ...task, owner: auth.principal });
+    taskOutcomes.inc({ state: 'canceled' });
+
+    const response = this.createJsonRpcSuccessResponse(id, task);
+    // The webhook is notified after the reply
+    response.pending = this.notifyStateChange(task);
+    return response;
+  }
+
+  /**
+   * Handle tasks/pushNotificationConfig/set method - register a webhook for a task
+   * @param {object} params - TaskPushNotificationConfig with taskId and pushNotificationConfig
+   * @param {string|number} id - JSON-RPC request ID
+   * @param {{principal: string}} auth - Authenticated caller
+   * @returns {Promise<object>} Lambda response with the stored config or error
+   */
+  async handlePushConfigSet(params, id, auth) {
+    logger.debug('Handling tasks/pushNotificationConfig/set');
+
+    if (!this.responseStreaming) {
+      return this.createPushUnsupportedResponse(id);
+    }
+
+    const pushConfigError = validatePushConfig(params.pushNotificationConfig);
+    if (pushConfigError) {
+      return this.createJsonRpcErrorResponse(id, ErrorCodes.INVALID_PARAMS, `Invalid params: ${pushConfigError}`);
+    }
+
+    const task = await this.loadOwnTask(params.taskId, auth);
 
     if (!task) {
+      return this.createJsonRpcErrorResponse(
+        id,
+        ErrorCodes.TASK_NOT_FOUND,
+        `Task not found: ${params.taskId}`
+      );
+    }
+
+    await this.taskStore.savePushConfig(params.taskId, params.pushNotificationConfig);
+
+    return this.createJsonRpcSuccessResponse(id, {
+      taskId: params.taskId,
+      pushNotificationConfig: params.pushNotificationConfig
+    });
+  }
+
+  /**
+   * Handle tasks/pushNotificationConfig/get method - retrieve the webhook of a task
+   * @param {object} params - Request parameters with task ID
+   * @param {string|number} id - JSON-RPC request ID
+   * @param {{principal: string}} auth - Authenticated caller
+   * @returns {Promise<object>} Lambda response with the stored config or error
+   */
+  async handlePushConfigGet(params, id, auth) {
+    logger.debug('Handling tasks/pushNotificationConfig/get');
+
+    if (!this.responseStreaming) {
+      return this.createPushUnsupportedResponse(id);
+    }
+
+    const task = await this.loadOwnTask(params.id, auth);
+
+    if (!task) {
+      return this.createJsonRpcErrorResponse(
+        id,
+        ErrorCodes.TASK_NOT_FOUND,
+        `Task not found: ${params.id}`
+      );
+    }
+
+    const pushConfig = await this.taskStore.loadPushConfig(params.id);
+
+    if (!pushConfig) {
       return this.createJsonRpcErrorResponse(
         id,
         ErrorCodes.SERVER_ERROR,
-        `Task not found: ${params.id}. Note: Tasks are only stored within a single Lambda invocation.`
+        `No push notification config set for task: ${params.id}`
       );
     }
 
-    // Mark task as cancelled
-    task.status = { state: 'canceled' };
-    this.tasks.set(params.id, task);
+    return this.createJsonRpcSuccessResponse(id, {
+      taskId: params.id,
+      pushNotificationConfig: pushConfig
+    });
+  }
 
-    return this.createJsonRpcSuccessResponse(id, task);
+  /**
+   * Create the error refusing push notifications in buffered mode
+   * @param {string|number} id - JSON-RPC request ID
+   * @returns {object} Lambda response with the JSON-RPC error
+   */
+  createPushUnsupportedResponse(id) {
+    return this.createJsonRpcErrorResponse(
+      id,
+      ErrorCodes.PUSH_NOTIFICATION_NOT_SUPPORTED,
+      'Push notifications are unsupported in buffered mode, the reply would wait for the webhook; the reply already has the final task'
+    );
   }
 
   /**
@@ -244,6 +1003,34 @@ export class LambdaA2AAdapter {
     };
   }
 
+  /**
+   * Create a Server-Sent Events response wrapping each event in a JSON-RPC response
+   * @param {string|number} id - Request ID
+   * @param {AsyncIterable<object>} events - A2A events to stream
+   * @returns {object} Lambda response object with an events iterable instead of a body
+   */
+  createSseResponse(id, events) {
+    async function* toJsonRpc() {
+      for await (const event of events) {
+        yield {
+          jsonrpc: '2.0',
+          result: event,
+          id: id
+        };
+      }
+    }
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      },
+      events: toJsonRpc()
+    };
+  }
+
   /**
    * Create a JSON-RPC error response
    * @param {string|number|null} id - Request ID
@@ -270,4 +1057,36 @@ export class LambdaA2AAdapter {
       })
     };
   }
+
+  /**
+   * Create the HTTP 401 response of an unauthenticated request
+   * The body is a JSON-RPC error so that clients see the reason either way
+   * @param {string|number|null} id - Request ID
+   * @param {{error: string, challenges: string[]}} auth - Failed authentication result
+   * @returns {object} Lambda response object
+   */
+  createUnauthorizedResponse(id, auth) {
+    const response = this.createJsonRpcErrorResponse(id, ErrorCodes.SERVER_ERROR, `Unauthorized: ${auth.error}`);
+    response.statusCode = 401;
+    response.headers['WWW-Authenticate'] = auth.challenges.join(', ');
+    return response;
+  }
+
+  /**
+   * Create the HTTP 429 response of a request over its client's rate limit or quota
+   * @param {string|number|null} id - Request ID
+   * @param {{limit: string, message: string, retryAfterSeconds: number}} limit - Refused rate limit check
+   * @returns {object} Lambda response object
+   */
+  createRateLimitedResponse(id, limit) {
+    const response = this.createJsonRpcErrorResponse(
+      id,
+      ErrorCodes.RATE_LIMIT_EXCEEDED,
+      `${limit.message}: retry after ${limit.retryAfterSeconds} seconds`,
+      { limit: limit.limit, retryAfterSeconds: limit.retryAfterSeconds }
+    );
+    response.statusCode = 429;
+    response.headers['Retry-After'] = String(limit.retryAfterSeconds);
+    return response;
+  }
 }
@@ -0,0 +1,163 @@
+/**
+ * Structured logging: one JSON object per line, for CloudWatch Logs Insights
+ * Each line carries the Lambda request id and, once known, the JSON-RPC id, taskId and contextId
+ * of the request being handled, kept in an AsyncLocalStorage context so callees need not pass them
+ * @module logger
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Log levels, by increasing severity
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const contextStorage = new AsyncLocalStorage();
+let threshold = LEVELS.info;
+
+/**
+ * Choose the log level: the LOG_LEVEL environment variable, else debug when config.a2a.debug is set, else info
+ * @param {object} [a2aConfig] - config.a2a
+ * @returns {string} Log level
+ */
+export function resolveLogLevel(a2aConfig = {}) {
+  return (process.env.LOG_LEVEL || (a2aConfig.debug ? 'debug' : 'info')).toLowerCase();
+}
+
+/**
+ * Set the lowest level that gets logged
+ * @param {string} level - "debug", "info", "warn" or "error"
+ * @throws {Error} If the level is unknown
+ */
+export function setLogLevel(level) {
+  if (!LEVELS[level]) {
+    throw new Error(`Unknown log level: ${level}. Supported levels: ${Object.keys(LEVELS).join(', ')}`);
+  }
+  threshold = LEVELS[level];
+}
+
+/**
+ * Run a function with fields added to every line logged while it runs, including by async work it starts
+ * Nested contexts inherit the fields of the enclosing one
+ * @param {object} fields - Fields such as requestId or jsonRpcId
+ * @param {function(): *} fn - Function to run
+ * @returns {*} The function's return value
+ */
+export function runWithLogContext(fields, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+/**
+ * Add fields to the current log context, e.g. the taskId once the task is created
+ * Without an enclosing runWithLogContext the fields are dropped
+ * @param {object} fields - Fields to add
+ */
+export function addLogContext(fields) {
+  const store = contextStorage.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+}
+
+/**
+ * Make a field value JSON-friendly; errors become their name, message and code
+ * @param {*} value - Field value
+ * @returns {*} Serializable value
+ */
+function serializeField(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(value.code && { code: value.code }) };
+  }
+  return value;
+}
+
+/**
+ * Logger writes JSON lines for one component, named like the old bracketed prefixes
+ */
+export class Logger {
+  /**
+   * Create a logger
+   * @param {string} component - Component name, e.g. "LambdaA2AAdapter"
+   */
+  constructor(component) {
+    this.component = component;
+  }
+
+  /**
+   * Whether lines of a level are written
+   * @param {string} level - Log level
+   * @returns {boolean} True if the level is at or above the threshold
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= threshold;
+  }
+
+  /**
+   * Write a line
+   * @param {string} level - Log level
+   * @param {string} message - Message
+   * @param {object} [fields] - Extra fields
+   */
+  log(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const line = {
+      level,
+      timestamp: new Date().toISOString(),
+      component: this.component,
+      message,
+      ...contextStorage.getStore()
+    };
+    for (const [name, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        line[name] = serializeField(value);
+      }
+    }
+
+    // Bypass console so that Lambda doesn't prefix the JSON with its own text fields
+    process.stdout.write(JSON.stringify(line) + '\n');
+  }
+
+  /**
+   * @param {string} message - Message
+   * @param {object} [fields] - Extra fields
+   */
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  /**
+   * @param {string} message - Message
+   * @param {object} [fields] - Extra fields
+   */
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  /**
+   * @param {string} message - Message
+   * @param {object} [fields] - Extra fields
+   */
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  /**
+   * @param {string} message - Message
+   * @param {object} [fields] - Extra fields
+   */
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+/**
+ * Create a logger for a component
+ * @param {string} component - Component name
+ * @returns {Logger} Logger
+ */
+export function createLogger(component) {
+  return new Logger(component);
+}
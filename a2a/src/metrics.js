@@ -0,0 +1,304 @@
+/**
+ * Counters and histograms of the agent, exposed in the Prometheus text format on GET /metrics
+ * and optionally written as CloudWatch Embedded Metric Format (EMF) log lines
+ * Values live in the Lambda container, so each container reports its own since it started
+ * @module metrics
+ */
+
+/**
+ * Default histogram buckets for durations, in seconds
+ */
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Histogram buckets for numbers of results
+ */
+const COUNT_BUCKETS = [0, 1, 5, 10, 25, 50, 100];
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set as {name="value",...}
+ * @param {object} labels - Label values by name
+ * @returns {string} Formatted labels, empty without labels
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Base of counters and histograms: a series per label set
+ */
+class Metric {
+  /**
+   * @param {MetricsRegistry} registry - Registry the metric belongs to
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {string[]} labelNames - Names of the labels
+   * @param {string} unit - EMF unit, e.g. "Count" or "Seconds"
+   */
+  constructor(registry, name, help, labelNames, unit) {
+    this.registry = registry;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.unit = unit;
+    this.series = new Map();
+  }
+
+  /**
+   * Keep only the declared labels, in declaration order
+   * @param {object} labels - Label values
+   * @returns {object} Declared labels as strings, "" for missing ones
+   */
+  pickLabels(labels) {
+    return Object.fromEntries(this.labelNames.map(name => [name, String(labels[name] ?? '')]));
+  }
+
+  /**
+   * Get or create the series of a label set
+   * @param {object} labels - Declared labels
+   * @param {function(): object} create - Creates an empty series
+   * @returns {object} Series
+   */
+  getSeries(labels, create) {
+    const key = JSON.stringify(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, ...create() });
+    }
+    return this.series.get(key);
+  }
+}
+
+/**
+ * Counter: a value that only goes up
+ */
+export class Counter extends Metric {
+  /**
+   * Increment the counter
+   * @param {object} [labels] - Label values
+   * @param {number} [value=1] - Increment
+   */
+  inc(labels = {}, value = 1) {
+    const picked = this.pickLabels(labels);
+    this.getSeries(picked, () => ({ value: 0 })).value += value;
+    this.registry.emitEmf(this, picked, value);
+  }
+
+  /**
+   * Render the counter in the Prometheus text format
+   * @returns {string[]} Lines
+   */
+  render() {
+    return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${series.value}`);
+  }
+}
+
+/**
+ * Histogram: observations counted in cumulative buckets, with their sum and count
+ */
+export class Histogram extends Metric {
+  /**
+   * @param {MetricsRegistry} registry - Registry the metric belongs to
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {string[]} labelNames - Names of the labels
+   * @param {string} unit - EMF unit
+   * @param {number[]} buckets - Upper bounds of the buckets, ascending
+   */
+  constructor(registry, name, help, labelNames, unit, buckets) {
+    super(registry, name, help, labelNames, unit);
+    this.buckets = buckets;
+  }
+
+  /**
+   * Record an observation
+   * @param {object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const picked = this.pickLabels(labels);
+    const series = this.getSeries(picked, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+    this.registry.emitEmf(this, picked, value);
+  }
+
+  /**
+   * Render the histogram in the Prometheus text format
+   * @returns {string[]} Lines
+   */
+  render() {
+    return [...this.series.values()].flatMap(series => [
+      ...this.buckets.map((bound, index) =>
+        `${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`),
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`,
+      `${this.name}_sum${formatLabels(series.labels)} ${series.sum}`,
+      `${this.name}_count${formatLabels(series.labels)} ${series.count}`
+    ]);
+  }
+}
+
+/**
+ * MetricsRegistry holds the metrics and renders them
+ */
+export class MetricsRegistry {
+  /**
+   * Create an empty registry, with EMF off
+   */
+  constructor() {
+    this.metrics = [];
+    this.emf = null;
+  }
+
+  /**
+   * Turn EMF log lines on or off
+   * @param {object} [metricsConfig] - config.a2a.metrics
+   * @param {boolean} [metricsConfig.emf=false] - Write an EMF line for every observation
+   * @param {string} [metricsConfig.namespace=HealthyLinkxA2A] - CloudWatch namespace of the metrics
+   */
+  configure(metricsConfig = {}) {
+    this.emf = metricsConfig.emf ? { namespace: metricsConfig.namespace || 'HealthyLinkxA2A' } : null;
+  }
+
+  /**
+   * Register a counter
+   * @param {string} name - Metric name, ending in _total
+   * @param {string} help - Description
+   * @param {string[]} [labelNames] - Names of the labels
+   * @returns {Counter} Counter
+   */
+  counter(name, help, labelNames = []) {
+    const counter = new Counter(this, name, help, labelNames, 'Count');
+    this.metrics.push(counter);
+    return counter;
+  }
+
+  /**
+   * Register a histogram
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {string[]} [labelNames] - Names of the labels
+   * @param {object} [options] - Histogram options
+   * @param {number[]} [options.buckets] - Bucket upper bounds, durations in seconds by default
+   * @param {string} [options.unit=Seconds] - EMF unit
+   * @returns {Histogram} Histogram
+   */
+  histogram(name, help, labelNames = [], { buckets = DURATION_BUCKETS, unit = 'Seconds' } = {}) {
+    const histogram = new Histogram(this, name, help, labelNames, unit, buckets);
+    this.metrics.push(histogram);
+    return histogram;
+  }
+
+  /**
+   * Write an observation as a CloudWatch Embedded Metric Format line, when EMF is on
+   * The labels become the metric's dimensions
+   * @param {Metric} metric - Metric observed
+   * @param {object} labels - Label values
+   * @param {number} value - Increment or observed value
+   */
+  emitEmf(metric, labels, value) {
+    if (!this.emf) {
+      return;
+    }
+
+    const line = {
+      _aws: {
+        Timestamp: Date.now(),
+        CloudWatchMetrics: [{
+          Namespace: this.emf.namespace,
+          Dimensions: [Object.keys(labels)],
+          Metrics: [{ Name: metric.name, Unit: metric.unit }]
+        }]
+      },
+      ...labels,
+      [metric.name]: value
+    };
+    process.stdout.write(JSON.stringify(line) + '\n');
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format
+   * @returns {string} Exposition text
+   */
+  render() {
+    return this.metrics.flatMap(metric => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric instanceof Histogram ? 'histogram' : 'counter'}`,
+      ...metric.render()
+    ]).join('\n') + '\n';
+  }
+}
+
+/**
+ * Registry of the agent's metrics
+ */
+export const registry = new MetricsRegistry();
+
+/**
+ * JSON-RPC calls, by method and result code ("ok" or the JSON-RPC error code)
+ */
+export const jsonRpcCalls = registry.counter(
+  'a2a_jsonrpc_calls_total',
+  'JSON-RPC calls by method and result code',
+  ['method', 'code']
+);
+
+/**
+ * Time to answer JSON-RPC calls; for streams, until the stream starts
+ */
+export const jsonRpcDuration = registry.histogram(
+  'a2a_jsonrpc_call_duration_seconds',
+  'Time to answer JSON-RPC calls, until the stream starts for streaming methods',
+  ['method']
+);
+
+/**
+ * Tasks that reached a final or input-required state
+ */
+export const taskOutcomes = registry.counter(
+  'a2a_task_outcomes_total',
+  'Tasks by the state they were left in: completed, input-required, failed, canceled',
+  ['state']
+);
+
+/**
+ * Latency of SearchDoctors, by HTTP-like status code
+ */
+export const searchDoctorsDuration = registry.histogram(
+  'healthylinkx_search_doctors_duration_seconds',
+  'SearchDoctors latency by status code',
+  ['status']
+);
+
+/**
+ * Doctors returned by successful SearchDoctors calls
+ */
+export const searchDoctorsResults = registry.histogram(
+  'healthylinkx_search_doctors_results',
+  'Doctors returned per page by successful SearchDoctors calls',
+  [],
+  { buckets: COUNT_BUCKETS, unit: 'Count' }
+);
+
+/**
+ * Search cache lookups: hit, miss, or bypass when the request asked for fresh results
+ */
+export const searchCacheLookups = registry.counter(
+  'healthylinkx_search_cache_lookups_total',
+  'Search cache lookups by result: hit, miss or bypass',
+  ['result']
+);
@@ -0,0 +1,58 @@
+/**
+ * Continuation tokens for paginated doctor searches
+ * A token carries the search parameters and the position of the next page,
+ * so a follow-up request needs nothing but the token
+ * @module pagination
+ */
+
+import { validateSearchParams } from './searchSchema.js';
+import { normalizePage } from './queryBuilder.js';
+
+/**
+ * Matches follow-up messages asking for the next page, e.g. "show more" or "next page"
+ */
+const SHOW_MORE_PATTERN = /^\s*(?:please\s+)?(?:(?:show|see|get|give|list)\s+)?(?:me\s+)?(?:some\s+)?(?:more|next)(?:\s+(?:results|doctors|page))?(?:\s+please)?\s*[.!?]*\s*$/i;
+
+/**
+ * Check whether a message asks for the next page of the previous search
+ * @param {string} message - Message text
+ * @returns {boolean} True for "show more", "next page" and similar
+ */
+export function isShowMoreRequest(message) {
+  return SHOW_MORE_PATTERN.test(message);
+}
+
+/**
+ * Create the token for the page following the current one, if there is one
+ * @param {object} searchParams - Search parameters of the current search
+ * @param {{limit: number, offset: number, total: number}} page - Current page and total matches
+ * @returns {string|undefined} Opaque token, or undefined on the last page
+ */
+export function createNextPageToken(searchParams, page) {
+  const nextOffset = page.offset + page.limit;
+  if (nextOffset >= page.total) {
+    return undefined;
+  }
+
+  const payload = { params: searchParams, offset: nextOffset, limit: page.limit };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode and validate a continuation token
+ * @param {string} token - Token from createNextPageToken
+ * @returns {{params: object, page: {limit: number, offset: number}}|null} Search to run, or null if the token is invalid
+ */
+export function decodePageToken(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    const { params, errors } = validateSearchParams(payload.params);
+    if (errors) {
+      return null;
+    }
+
+    return { params, page: normalizePage(payload) };
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Schemas of the JSON-RPC params of each supported A2A method
+ * Only the fields the agent reads are checked in depth; other A2A fields (metadata, extensions) pass through
+ * @module paramsSchema
+ */
+
+import { z } from 'zod';
+
+const IdSchema = z.string().min(1);
+const MetadataSchema = z.record(z.string(), z.unknown());
+
+const TextPartSchema = z.looseObject({
+  kind: z.literal('text'),
+  text: z.string(),
+  metadata: MetadataSchema.optional()
+});
+
+const DataPartSchema = z.looseObject({
+  kind: z.literal('data'),
+  data: z.record(z.string(), z.unknown(), { error: 'must be a JSON object' }),
+  metadata: MetadataSchema.optional()
+});
+
+const FilePartSchema = z.looseObject({
+  kind: z.literal('file'),
+  file: z.looseObject({
+    name: z.string().optional(),
+    mimeType: z.string().optional(),
+    bytes: z.string().optional(),
+    uri: z.url().optional()
+  }).refine(file => file.bytes !== undefined || file.uri !== undefined, 'must have bytes or a uri'),
+  metadata: MetadataSchema.optional()
+});
+
+const PartSchema = z.discriminatedUnion('kind', [TextPartSchema, DataPartSchema, FilePartSchema], {
+  error: 'must be a part of kind "text", "data" or "file"'
+});
+
+/**
+ * A2A Message sent by a client
+ */
+const MessageSchema = z.looseObject({
+  kind: z.literal('message').optional(),
+  messageId: IdSchema,
+  role: z.literal('user', { error: 'must be "user" for messages sent to the agent' }),
+  parts: z.array(PartSchema).min(1, 'must contain at least one part'),
+  taskId: IdSchema.optional(),
+  contextId: IdSchema.optional(),
+  referenceTaskIds: z.array(IdSchema).optional(),
+  extensions: z.array(z.string()).optional(),
+  metadata: MetadataSchema.optional()
+}, { error: 'must be a Message object or a non-empty string' });
+
+/**
+ * Turn the plain string message of the README's curl example into a one-part user message
+ * @param {*} message - params.message as sent
+ * @returns {*} A Message for non-empty strings, anything else as is
+ */
+function normalizeLegacyMessage(message) {
+  if (typeof message !== 'string' || message.trim() === '') {
+    return message;
+  }
+  return {
+    kind: 'message',
+    messageId: `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    role: 'user',
+    parts: [{ kind: 'text', text: message }]
+  };
+}
+
+/**
+ * Params of message/send and message/stream
+ * id and contextId are accepted at the top level for clients written before they moved into the message
+ * (id is then ignored: task ids are always generated by the adapter)
+ */
+const MessageSendParamsSchema = z.looseObject({
+  message: z.preprocess(normalizeLegacyMessage, MessageSchema),
+  configuration: z.looseObject({
+    acceptedOutputModes: z.array(z.string()).optional(),
+    historyLength: z.number().int().nonnegative().optional(),
+    blocking: z.boolean().optional(),
+    // Checked in depth by validatePushConfig
+    pushNotificationConfig: z.looseObject({}).optional()
+  }).optional(),
+  id: IdSchema.optional(),
+  contextId: IdSchema.optional(),
+  metadata: MetadataSchema.optional()
+});
+
+/**
+ * Params naming a task: tasks/cancel, tasks/resubscribe, tasks/pushNotificationConfig/get
+ */
+const TaskIdParamsSchema = z.looseObject({
+  id: IdSchema,
+  metadata: MetadataSchema.optional()
+});
+
+/**
+ * Params of tasks/get
+ */
+const TaskQueryParamsSchema = TaskIdParamsSchema.extend({
+  historyLength: z.number().int().nonnegative().optional()
+});
+
+/**
+ * Params of tasks/pushNotificationConfig/set
+ */
+const TaskPushConfigParamsSchema = z.looseObject({
+  taskId: IdSchema,
+  // Checked in depth by validatePushConfig
+  pushNotificationConfig: z.looseObject({})
+});
+
+/**
+ * Params schema of each method; params are required unless the schema is optional
+ */
+const PARAMS_SCHEMAS = {
+  'message/send': MessageSendParamsSchema,
+  'message/stream': MessageSendParamsSchema,
+  'tasks/get': TaskQueryParamsSchema,
+  'tasks/cancel': TaskIdParamsSchema,
+  'tasks/resubscribe': TaskIdParamsSchema,
+  'tasks/pushNotificationConfig/set': TaskPushConfigParamsSchema,
+  'tasks/pushNotificationConfig/get': TaskIdParamsSchema,
+  'agent/getAuthenticatedExtendedCard': z.looseObject({}).optional()
+};
+
+/**
+ * Validate the params of a JSON-RPC call
+ * @param {string} method - Method name
+ * @param {*} params - params of the call
+ * @returns {{params: *}|{errors: Array<{field: string, message: string}>}} Normalized params (legacy string
+ *   messages become Message objects), or one error per invalid field; unknown methods are returned as is
+ */
+export function validateParams(method, params) {
+  const schema = PARAMS_SCHEMAS[method];
+  if (!schema) {
+    return { params };
+  }
+
+  const result = schema.safeParse(params);
+  if (!result.success) {
+    return {
+      errors: result.error.issues.map(issue => ({
+        field: issue.path.length > 0 ? issue.path.join('.') : 'params',
+        message: issue.message
+      }))
+    };
+  }
+
+  return { params: result.data };
+}
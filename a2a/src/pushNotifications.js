@@ -0,0 +1,228 @@
+/**
+ * Webhook delivery of A2A push notifications
+ * Posts the task to the client's registered URL whenever its state changes
+ * @module pushNotifications
+ */
+
+import dns from 'dns/promises';
+import net from 'net';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('PushNotificationSender');
+
+/**
+ * IPv4 ranges a webhook must not point into: this host, private networks, shared address space,
+ * link-local (with the 169.254.169.254 metadata endpoint) and broadcast
+ */
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['255.255.255.255', 32]
+];
+
+/**
+ * Convert a dotted IPv4 address to an unsigned integer
+ * @param {string} address - IPv4 address
+ * @returns {number} Address as a 32-bit unsigned integer
+ */
+function ipv4ToNumber(address) {
+  return address.split('.').reduce((number, octet) => number * 256 + Number(octet), 0);
+}
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise internal
+ * IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if webhooks must not be sent to it
+ */
+export function isInternalAddress(address) {
+  if (net.isIPv4(address)) {
+    const number = ipv4ToNumber(address);
+    return BLOCKED_IPV4_RANGES.some(([base, bits]) => {
+      const size = 2 ** (32 - bits);
+      return Math.floor(number / size) === Math.floor(ipv4ToNumber(base) / size);
+    });
+  }
+
+  const normalized = address.toLowerCase();
+  const mapped = normalized.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+  if (mapped) {
+    const ipv4 = mapped[1] || [mapped[2], mapped[3]]
+      .map(group => parseInt(group, 16))
+      .flatMap(value => [value >> 8, value & 255])
+      .join('.');
+    return isInternalAddress(ipv4);
+  }
+
+  // Unspecified, loopback, unique local (fc00::/7) and link-local (fe80::/10)
+  return normalized === '::' || normalized === '::1' || /^f[cd]/.test(normalized) || /^fe[89ab]/.test(normalized);
+}
+
+/**
+ * Check whether a URL hostname names this host or an internal address
+ * @param {string} hostname - URL hostname, IPv6 addresses in brackets
+ * @returns {boolean} True if webhooks must not be sent to it
+ */
+function isInternalHostname(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return true;
+  }
+  return net.isIP(host) !== 0 && isInternalAddress(host);
+}
+
+/**
+ * Validate a PushNotificationConfig received from a client
+ * @param {object} pushConfig - PushNotificationConfig with url, optional token and authentication
+ * @returns {string|null} Error message, or null if the config is valid
+ */
+export function validatePushConfig(pushConfig) {
+  if (!pushConfig || typeof pushConfig.url !== 'string') {
+    return 'pushNotificationConfig.url is required';
+  }
+
+  let url;
+  try {
+    url = new URL(pushConfig.url);
+  } catch {
+    return `pushNotificationConfig.url is not a valid URL: ${pushConfig.url}`;
+  }
+
+  if (url.protocol !== 'https:') {
+    return 'pushNotificationConfig.url must use https';
+  }
+
+  if (isInternalHostname(url.hostname)) {
+    return `pushNotificationConfig.url must not point to a loopback, private or link-local address: ${url.hostname}`;
+  }
+
+  if (pushConfig.token !== undefined && typeof pushConfig.token !== 'string') {
+    return 'pushNotificationConfig.token must be a string';
+  }
+
+  return null;
+}
+
+/**
+ * PushNotificationSender delivers task updates to webhooks with retries and exponential backoff
+ */
+export class PushNotificationSender {
+  /**
+   * Create a push notification sender
+   * @param {object} [options] - config.a2a.pushNotifications
+   * @param {number} [options.maxAttempts=3] - Delivery attempts before giving up
+   * @param {number} [options.initialDelayMs=500] - Delay before the first retry, doubled on each retry
+   * @param {number} [options.timeoutMs=5000] - Timeout of each delivery attempt
+   * @param {number} [options.maxTotalMs=10000] - Time allowed to all the attempts of a delivery
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || 3;
+    this.initialDelayMs = options.initialDelayMs || 500;
+    this.timeoutMs = options.timeoutMs || 5000;
+    this.maxTotalMs = options.maxTotalMs || 10000;
+  }
+
+  /**
+   * Check that the webhook's host doesn't resolve to an internal address
+   * validatePushConfig only sees the hostname, which may be a DNS name of a private address
+   * @param {string} url - Webhook URL
+   * @returns {Promise<void>}
+   * @throws {Error} If the host resolves to a loopback, private or link-local address
+   */
+  async checkDestination(url) {
+    const { hostname } = new URL(url);
+    const host = hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true });
+    const internal = addresses.find(({ address }) => isInternalAddress(address));
+    if (internal) {
+      throw new Error(`${hostname} resolves to the internal address ${internal.address}`);
+    }
+  }
+
+  /**
+   * Build the request headers for a webhook
+   * @param {object} pushConfig - PushNotificationConfig
+   * @returns {object} HTTP headers
+   */
+  createHeaders(pushConfig) {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (pushConfig.token) {
+      headers['X-A2A-Notification-Token'] = pushConfig.token;
+    }
+
+    const auth = pushConfig.authentication;
+    if (auth?.credentials && auth.schemes?.some(scheme => scheme.toLowerCase() === 'bearer')) {
+      headers['Authorization'] = `Bearer ${auth.credentials}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * POST a task to the webhook, retrying on network errors, 429 and 5xx responses until the deadline
+   * @param {object} pushConfig - PushNotificationConfig
+   * @param {object} task - Task to deliver
+   * @param {number} [deadline] - Time (ms since epoch) after which no attempt is made, maxTotalMs from now by default
+   * @returns {Promise<boolean>} True if the webhook accepted the notification
+   */
+  async send(pushConfig, task, deadline = Date.now() + this.maxTotalMs) {
+    const headers = this.createHeaders(pushConfig);
+    const body = JSON.stringify(task);
+
+    try {
+      await this.checkDestination(pushConfig.url);
+    } catch (error) {
+      logger.error('Refusing to deliver push notification', { taskId: task.id, error });
+      return false;
+    }
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const remainingMs = deadline - Date.now();
+      if (remainingMs <= 0) {
+        logger.error('Push notification delivery time exhausted', { taskId: task.id, attempt });
+        return false;
+      }
+
+      try {
+        const response = await fetch(pushConfig.url, {
+          method: 'POST',
+          headers,
+          body,
+          redirect: 'error',
+          signal: AbortSignal.timeout(Math.min(this.timeoutMs, remainingMs))
+        });
+
+        if (response.ok) {
+          logger.info('Delivered push notification', { taskId: task.id, state: task.status.state });
+          return true;
+        }
+
+        if (response.status !== 429 && response.status < 500) {
+          logger.error('Webhook rejected notification', { taskId: task.id, status: response.status });
+          return false;
+        }
+
+        logger.warn('Push notification attempt failed', { taskId: task.id, attempt, status: response.status });
+      } catch (error) {
+        logger.warn('Push notification attempt failed', { taskId: task.id, attempt, error });
+      }
+
+      if (attempt < this.maxAttempts) {
+        const delay = this.initialDelayMs * 2 ** (attempt - 1);
+        if (Date.now() + delay >= deadline) {
+          break;
+        }
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    logger.error('Giving up on push notification', { taskId: task.id });
+    return false;
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * Placeholder-based SQL builder for doctor searches
+ * User input only ever travels as statement values, never inside the SQL text
+ * @module queryBuilder
+ */
+
+/**
+ * Columns returned for each doctor
+ */
+const DOCTOR_COLUMNS = [
+  'Provider_Full_Name',
+  'Provider_Full_Street',
+  'Provider_Full_City',
+  'Classification'
+];
+
+/**
+ * Default and maximum number of rows in a page of results
+ */
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+/**
+ * Miles per degree of latitude, for distances between ZIP code centroids
+ */
+export const MILES_PER_DEGREE = 69.0;
+
+/**
+ * Create a filter matching a column exactly
+ * @param {string} column - npidata2 column name
+ * @returns {function(*): {sql: string, values: Array}} Filter builder
+ */
+function equals(column) {
+  return value => ({ sql: `(${column} = ?)`, values: [value] });
+}
+
+/**
+ * Supported search filters, keyed by search parameter name
+ * To add a filter, map its parameter to a function returning a condition with placeholders
+ */
+const DOCTOR_FILTERS = {
+  npi: equals('NPI'),
+  lastname: equals('Provider_Last_Name_Legal_Name'),
+  firstname: equals('Provider_First_Name'),
+  gender: equals('Provider_Gender_Code'),
+  specialty: equals('Classification'),
+  city: equals('Provider_Full_City'),
+  state: equals('Provider_Business_Practice_Location_Address_State_Name'),
+  zipcode: equals('Provider_Short_Postal_Code')
+};
+
+/**
+ * Build the distance terms of a radius search around a point
+ * Distances use an equirectangular approximation, accurate to well under a mile at search radiuses,
+ * and a bounding box on the indexed centroid coordinates narrows the rows to compute it for
+ * @param {{latitude: number, longitude: number, radius: number}} near - Center and radius in miles
+ * @returns {{select: {sql: string, values: Array}, where: {sql: string, values: Array}}} Distance column and condition
+ */
+function buildDistance(near) {
+  const { latitude, longitude, radius } = near;
+  const milesPerLongitude = MILES_PER_DEGREE * Math.cos(latitude * Math.PI / 180);
+  const squaredDistance = `(POW(${MILES_PER_DEGREE} * (zipcodes.latitude - ?), 2) + POW(? * (zipcodes.longitude - ?), 2))`;
+  const distanceValues = [latitude, milesPerLongitude, longitude];
+
+  return {
+    select: { sql: `SQRT(${squaredDistance}) AS Distance`, values: distanceValues },
+    where: {
+      sql: '(zipcodes.latitude BETWEEN ? AND ?) AND (zipcodes.longitude BETWEEN ? AND ?) AND ' +
+        `(${squaredDistance} <= ?)`,
+      values: [
+        latitude - radius / MILES_PER_DEGREE, latitude + radius / MILES_PER_DEGREE,
+        longitude - radius / milesPerLongitude, longitude + radius / milesPerLongitude,
+        ...distanceValues, radius * radius
+      ]
+    }
+  };
+}
+
+/**
+ * Build the WHERE conditions for a set of search filters
+ * @param {object} filters - Search parameters (lastname, firstname, gender, specialty, city, state, zipcode)
+ * @param {object} [distance] - Distance terms from buildDistance, for radius searches
+ * @returns {{where: string, values: Array}} Conditions joined with AND and the values to bind
+ * @throws {Error} If no filter is set or a filter is unknown
+ */
+function buildConditions(filters, distance) {
+  const conditions = [];
+  const values = [];
+
+  for (const [name, value] of Object.entries(filters)) {
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+
+    const filter = DOCTOR_FILTERS[name];
+    if (!filter) {
+      throw new Error(`Unknown search filter: ${name}`);
+    }
+
+    const condition = filter(value);
+    conditions.push(condition.sql);
+    values.push(...condition.values);
+  }
+
+  if (distance) {
+    conditions.push(distance.where.sql);
+    values.push(...distance.where.values);
+  }
+
+  if (conditions.length === 0) {
+    throw new Error('At least one search filter is required');
+  }
+
+  return { where: conditions.join(' AND '), values };
+}
+
+/**
+ * Clamp requested page options to the supported range
+ * @param {object} [page] - Requested page
+ * @param {number} [page.limit] - Page size, 25 by default, capped at 100
+ * @param {number} [page.offset] - Rows to skip, 0 by default
+ * @returns {{limit: number, offset: number}} Page options safe to inline in SQL
+ */
+export function normalizePage(page = {}) {
+  return {
+    limit: Math.min(Math.max(parseInt(page.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT),
+    offset: Math.max(parseInt(page.offset, 10) || 0, 0)
+  };
+}
+
+/**
+ * Build the statement searching npidata2 for one page of doctors
+ * Rows are ordered so that consecutive pages neither repeat nor skip doctors
+ * @param {object} filters - Search parameters (lastname, firstname, gender, specialty, city, state, zipcode)
+ * @param {object} [page] - Page options
+ * @param {number} [page.limit=25] - Maximum number of rows, capped at 100
+ * @param {number} [page.offset=0] - Rows to skip
+ * @param {{latitude: number, longitude: number, radius: number}} [near] - Only doctors whose ZIP code centroid
+ *   is within radius miles of this point, nearest first, with their distance in a "Distance" column
+ * @returns {{sql: string, values: Array}} SQL with ? placeholders and the values to bind
+ * @throws {Error} If no filter is set or a filter is unknown
+ */
+export function buildDoctorSearchQuery(filters, page = {}, near) {
+  const distance = near && buildDistance(near);
+  const { where, values } = buildConditions(filters, distance);
+  const { limit, offset } = normalizePage(page);
+
+  if (!distance) {
+    return {
+      sql: `SELECT ${DOCTOR_COLUMNS.join(',')} FROM npidata2 WHERE ${where} ` +
+        `ORDER BY Provider_Full_Name, NPI LIMIT ${limit} OFFSET ${offset}`,
+      values
+    };
+  }
+
+  return {
+    sql: `SELECT ${DOCTOR_COLUMNS.join(',')},${distance.select.sql} FROM npidata2 ` +
+      'JOIN zipcodes ON zipcodes.zipcode = npidata2.Provider_Short_Postal_Code ' +
+      `WHERE ${where} ORDER BY Distance, Provider_Full_Name, NPI LIMIT ${limit} OFFSET ${offset}`,
+    values: [...distance.select.values, ...values]
+  };
+}
+
+/**
+ * Build the statement counting all doctors matching the filters
+ * @param {object} filters - Search parameters (lastname, firstname, gender, specialty, city, state, zipcode)
+ * @param {{latitude: number, longitude: number, radius: number}} [near] - Center and radius of a radius search
+ * @returns {{sql: string, values: Array}} SQL returning a single "total" column
+ * @throws {Error} If no filter is set or a filter is unknown
+ */
+export function buildDoctorCountQuery(filters, near) {
+  const distance = near && buildDistance(near);
+  const { where, values } = buildConditions(filters, distance);
+  const join = distance ? 'JOIN zipcodes ON zipcodes.zipcode = npidata2.Provider_Short_Postal_Code ' : '';
+
+  return {
+    sql: `SELECT COUNT(*) AS total FROM npidata2 ${join}WHERE ${where}`,
+    values
+  };
+}
+
+/**
+ * Build the statement returning the full npidata2 records of providers
+ * @param {{npi?: string, firstname?: string, lastname?: string}} lookup - NPI or name of the provider
+ * @param {number} limit - Maximum number of records
+ * @returns {{sql: string, values: Array}} SQL with ? placeholders and the values to bind
+ * @throws {Error} If the lookup is empty
+ */
+export function buildProviderQuery(lookup, limit) {
+  const { where, values } = buildConditions(lookup);
+  const { limit: safeLimit } = normalizePage({ limit });
+
+  return {
+    sql: `SELECT * FROM npidata2 WHERE ${where} ORDER BY Provider_Full_Name, NPI LIMIT ${safeLimit}`,
+    values
+  };
+}
+
+/**
+ * Build the statement listing the classifications of the providers in a ZIP code
+ * @param {string} zipcode - 5-digit ZIP code
+ * @returns {{sql: string, values: Array}} SQL returning "Classification" and "Providers" (count) columns
+ */
+export function buildSpecialtyListQuery(zipcode) {
+  return {
+    sql: 'SELECT Classification, COUNT(*) AS Providers FROM npidata2 ' +
+      "WHERE (Provider_Short_Postal_Code = ?) AND Classification IS NOT NULL AND Classification <> '' " +
+      'GROUP BY Classification ORDER BY Classification',
+    values: [zipcode]
+  };
+}
+
+/**
+ * Build the statement looking up the centroid of a ZIP code
+ * @param {string} zipcode - 5-digit ZIP code
+ * @returns {{sql: string, values: Array}} SQL returning "latitude" and "longitude", no rows for unknown ZIP codes
+ */
+export function buildZipCentroidQuery(zipcode) {
+  return {
+    sql: 'SELECT latitude, longitude FROM zipcodes WHERE zipcode = ?',
+    values: [String(zipcode).padStart(5, '0')]
+  };
+}
@@ -0,0 +1,372 @@
+/**
+ * Natural language parser for doctor search queries
+ * Extracts names, location, gender and specialty from messages like
+ * "Dr. Maria Lopez in Seattle, WA" or "female family medicine doctors in 98052-1234",
+ * and reports which words were read as what, and what was ambiguous
+ * @module queryParser
+ */
+
+/**
+ * USPS codes of the states, DC and territories, keyed by lowercase name
+ */
+const STATES = {
+  'alabama': 'AL', 'alaska': 'AK', 'arizona': 'AZ', 'arkansas': 'AR', 'california': 'CA',
+  'colorado': 'CO', 'connecticut': 'CT', 'delaware': 'DE', 'district of columbia': 'DC', 'florida': 'FL',
+  'georgia': 'GA', 'hawaii': 'HI', 'idaho': 'ID', 'illinois': 'IL', 'indiana': 'IN',
+  'iowa': 'IA', 'kansas': 'KS', 'kentucky': 'KY', 'louisiana': 'LA', 'maine': 'ME',
+  'maryland': 'MD', 'massachusetts': 'MA', 'michigan': 'MI', 'minnesota': 'MN', 'mississippi': 'MS',
+  'missouri': 'MO', 'montana': 'MT', 'nebraska': 'NE', 'nevada': 'NV', 'new hampshire': 'NH',
+  'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND',
+  'ohio': 'OH', 'oklahoma': 'OK', 'oregon': 'OR', 'pennsylvania': 'PA', 'rhode island': 'RI',
+  'south carolina': 'SC', 'south dakota': 'SD', 'tennessee': 'TN', 'texas': 'TX', 'utah': 'UT',
+  'vermont': 'VT', 'virginia': 'VA', 'washington': 'WA', 'west virginia': 'WV', 'wisconsin': 'WI',
+  'wyoming': 'WY', 'puerto rico': 'PR', 'guam': 'GU', 'virgin islands': 'VI'
+};
+
+const STATE_CODES = new Set(Object.values(STATES));
+
+/**
+ * State names that are also the names of large cities
+ */
+const CITY_STATE_NAMES = new Set(['new york', 'washington']);
+
+/**
+ * Radius of "near 90210" searches, in miles
+ */
+const DEFAULT_RADIUS_MILES = 10;
+
+const MILES_PER_KM = 0.621371;
+
+/**
+ * Gender synonyms; word boundaries keep "woman" from matching "man"
+ */
+const FEMALE_PATTERN = /\b(female|women|woman|lady|ladies|gal)\b/i;
+const MALE_PATTERN = /\b(male|men|man|gentleman|gentlemen|guy)\b/i;
+
+/**
+ * A single name: letters with inner hyphens or apostrophes, e.g. O'Brien or Smith-Jones
+ */
+const NAME = "[A-Za-z][A-Za-z'-]*";
+
+/**
+ * Words that end a name, place or specialty phrase
+ */
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'around', 'at', 'by', 'close', 'doctor', 'doctors', 'for', 'from', 'in', 'is',
+  'me', 'near', 'nearby', 'of', 'or', 'please', 'the', 'to', 'who', 'with', 'within', 'zip', 'zipcode'
+]);
+
+/**
+ * Words that are not read as a name or place when written in lowercase, where capitalization
+ * can't tell them apart: search keywords and the nouns of specialties like "family medicine"
+ */
+const LOWERCASE_STOP_WORDS = new Set([
+  'accepting', 'available', 'called', 'care', 'clinic', 'female', 'field', 'gal', 'guy', 'health', 'hospital',
+  'lady', 'male', 'man', 'medicine', 'men', 'name', 'named', 'practice', 'specialising', 'speciality',
+  'specialization', 'specializing', 'specialty', 'surgery', 'that', 'therapy', 'type', 'woman', 'women'
+]);
+
+/**
+ * Check that a matched word can be part of a name or place
+ * @param {string} [word] - Candidate word
+ * @returns {boolean} True unless the word is missing, a stop word, or a keyword written in lowercase
+ */
+function isNameWord(word) {
+  if (!word || STOP_WORDS.has(word.toLowerCase())) {
+    return false;
+  }
+  return /^[A-Z]/.test(word) || !LOWERCASE_STOP_WORDS.has(word);
+}
+
+/**
+ * Check whether a phrase ends where the remaining text starts: at the end of the message,
+ * at punctuation or a consumed fragment, or before a stop word
+ * @param {string} rest - Text following the phrase
+ * @returns {boolean} True if nothing more belongs to the phrase
+ */
+function endsPhrase(rest) {
+  const next = rest.match(/^\s*(\w+)/);
+  return !next || STOP_WORDS.has(next[1].toLowerCase());
+}
+
+/**
+ * Look up a state by USPS code or full name
+ * @param {string} text - "WA", "wa" or "Washington"
+ * @returns {string|undefined} USPS code
+ */
+function toStateCode(text) {
+  const upper = text.trim().toUpperCase();
+  if (upper.length === 2 && STATE_CODES.has(upper)) {
+    return upper;
+  }
+  return STATES[text.trim().toLowerCase().replace(/\s+/g, ' ')];
+}
+
+/**
+ * Write words in title case, the way cities are stored: "san diego" -> "San Diego"
+ * @param {string} text - Words
+ * @returns {string} Title-cased words
+ */
+function titleCase(text) {
+  return text.toLowerCase().replace(/(^|[\s-])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+/**
+ * Parse state kept while reading a message
+ * Matched fragments are blanked out of the remaining text so that no word is read twice
+ */
+class ParseState {
+  /**
+   * @param {string} message - Message text
+   */
+  constructor(message) {
+    this.remaining = message.replace(/[‘’]/g, "'");
+    this.params = {};
+    this.interpretation = [];
+    this.ambiguities = [];
+  }
+
+  /**
+   * Record a parameter and the text it was read from
+   * @param {string} field - Search parameter name
+   * @param {string} value - Parameter value
+   * @param {string} text - Fragment of the message it was read from
+   */
+  set(field, value, text) {
+    if (this.params[field] !== undefined && this.params[field] !== value) {
+      this.ambiguities.push(`Found more than one ${field} ("${this.params[field]}" and "${value}"); using "${this.params[field]}".`);
+      return;
+    }
+    this.params[field] = value;
+    this.interpretation.push({ field, value, text: text.trim() });
+  }
+
+  /**
+   * Blank a matched fragment out of the remaining text
+   * It is replaced with NUL characters rather than spaces, so that the words on each side of it
+   * can't be read as one phrase, e.g. "in 98052 accepting" as a place "accepting"
+   * @param {string} text - Matched fragment
+   */
+  consume(text) {
+    this.remaining = this.remaining.replace(text, '\0'.repeat(text.length));
+  }
+}
+
+/**
+ * ZIP codes, keeping the 5-digit part of ZIP+4 codes
+ * @param {ParseState} state - Parse state
+ */
+function parseZipcode(state) {
+  for (const match of state.remaining.matchAll(/\b(\d{5})(?:-\d{4})?\b/g)) {
+    state.set('zipcode', match[1], match[0]);
+    state.consume(match[0]);
+  }
+}
+
+/**
+ * Search radius, from "within 5 miles of", "10 km from" or "near 90210"
+ * Kilometers are converted to miles; the ZIP code itself is left for parseZipcode
+ * @param {ParseState} state - Parse state
+ */
+function parseRadius(state) {
+  const distance = state.remaining.match(
+    /\b(?:within\s+)?(\d+(?:\.\d+)?)\s*(miles?|mi|km|kilometers?|kilometres?)\b(?:\s+(?:of|from|around))?/i
+  );
+  if (distance) {
+    const value = parseFloat(distance[1]);
+    const miles = /^k/i.test(distance[2]) ? Math.round(value * MILES_PER_KM * 10) / 10 : value;
+    state.set('radius', miles, distance[0]);
+    state.consume(distance[0]);
+    return;
+  }
+
+  const near = state.remaining.match(/\b(?:near|around|close\s+to)(?=\s+(?:zip\s*(?:code)?\s+)?\d{5}\b)/i);
+  if (near) {
+    state.set('radius', DEFAULT_RADIUS_MILES, near[0]);
+    state.consume(near[0]);
+  }
+}
+
+/**
+ * Gender, from "female", "woman", "lady doctor", "male", "man" and similar
+ * @param {ParseState} state - Parse state
+ */
+function parseGender(state) {
+  const female = state.remaining.match(FEMALE_PATTERN);
+  const male = state.remaining.match(MALE_PATTERN);
+
+  if (female && male) {
+    state.ambiguities.push(`The query mentions both "${female[1]}" and "${male[1]}"; not filtering by gender.`);
+  } else if (female) {
+    state.set('gender', 'female', female[0]);
+  } else if (male) {
+    state.set('gender', 'male', male[0]);
+  }
+
+  for (const match of [female, male]) {
+    if (match) {
+      state.consume(match[0]);
+    }
+  }
+}
+
+/**
+ * Names, from "first name X", "last name X", "named X Y" and "Dr. X Y"
+ * A single name after "named" or "Dr." is taken as the last name
+ * @param {ParseState} state - Parse state
+ */
+function parseNames(state) {
+  const explicit = [
+    ['firstname', new RegExp(`\\b(?:first\\s*name|given\\s+name)(?:\\s+is)?\\s+(${NAME})`, 'i')],
+    ['lastname', new RegExp(`\\b(?:last\\s*name|surname|family\\s+name)(?:\\s+is)?\\s+(${NAME})`, 'i')]
+  ];
+  for (const [field, pattern] of explicit) {
+    const match = state.remaining.match(pattern);
+    if (match && isNameWord(match[1])) {
+      state.set(field, match[1], match[0]);
+      state.consume(match[0]);
+    }
+  }
+
+  const fullName = [
+    new RegExp(`\\b(?:named|called|name\\s+is)\\s+(${NAME})(?:\\s+(${NAME}))?`, 'gi'),
+    // "doctor in seattle" is not a doctor named "in", so the first title followed by a name word is used
+    new RegExp(`\\b(?:dr\\.?|doctor)\\s+(${NAME})(?:\\s+(${NAME}))?`, 'gi')
+  ];
+  for (const pattern of fullName) {
+    const match = [...state.remaining.matchAll(pattern)].find(candidate => isNameWord(candidate[1]));
+    if (!match) {
+      continue;
+    }
+
+    // A lowercase second word is only a name when the phrase ends there, as in "dr john smith in 98052"
+    // but not in "dr smith office hours"
+    const rest = state.remaining.slice(match.index + match[0].length);
+    if (isNameWord(match[2]) && (/^[A-Z]/.test(match[2]) || endsPhrase(rest))) {
+      state.set('firstname', match[1], match[0]);
+      state.set('lastname', match[2], match[0]);
+      state.consume(match[0]);
+    } else {
+      state.set('lastname', match[1], match[1]);
+      state.consume(match[0].slice(0, match[0].indexOf(match[1]) + match[1].length));
+    }
+  }
+}
+
+/**
+ * Specialty introduced by a keyword: "specialty family medicine", "specializing in internal medicine"
+ * Specialties mentioned without a keyword are left to the specialty resolver
+ * @param {ParseState} state - Parse state
+ */
+function parseSpecialty(state) {
+  const match = state.remaining.match(
+    /\b(?:specialty|speciality|specialization|specializing|specialising|type|field)(?:\s+(?:of|is|in))?\s+([A-Za-z][A-Za-z&/-]*(?:\s+[A-Za-z&/-]+)*)/i
+  );
+  if (!match) {
+    return;
+  }
+
+  const words = [];
+  for (const word of match[1].split(/\s+/)) {
+    if (STOP_WORDS.has(word.toLowerCase()) && word !== '&') {
+      break;
+    }
+    words.push(word);
+  }
+  if (words.length === 0) {
+    return;
+  }
+
+  const specialty = words.join(' ');
+  const text = match[0].slice(0, match[0].indexOf(match[1]) + specialty.length);
+  state.set('specialty', specialty, text);
+  state.consume(text);
+}
+
+/**
+ * City and state, from "in Seattle, WA", "in seattle, washington", "in Seattle", "in seattle" or "in WA"
+ * @param {ParseState} state - Parse state
+ * @param {boolean} bare - Whether the whole message may be a place, as in an answer to a clarifying question
+ */
+function parsePlace(state, bare) {
+  const prefix = bare ? '^\\s*(?:(?:in|near|around|at)\\s+)?' : '\\b(?:in|near|around|at)\\s+';
+  const withState = state.remaining.match(
+    new RegExp(`${prefix}([A-Za-z][A-Za-z.'-]*(?:\\s+[A-Za-z][A-Za-z.'-]*){0,3}?)\\s*,\\s*([A-Za-z]{2}\\b|[A-Za-z]+(?:\\s+[A-Za-z]+){0,2})`, 'i')
+  );
+  if (withState) {
+    // "Seattle, Washington please": try the longest state name first
+    const stateWords = withState[2].split(/\s+/);
+    for (let count = stateWords.length; count > 0; count--) {
+      const code = toStateCode(stateWords.slice(0, count).join(' '));
+      if (code && withState[1].split(/\s+/).every(isNameWord)) {
+        const text = withState[0].slice(0, withState[0].indexOf(withState[2]) + stateWords.slice(0, count).join(' ').length);
+        state.set('city', titleCase(withState[1]), text);
+        state.set('state', code, text);
+        state.consume(text);
+        return;
+      }
+    }
+  }
+
+  // A bare word is more likely a name than a place, so this one always needs "in"
+  const place = state.remaining.match(
+    new RegExp(`\\b(?:in|near|around|at)\\s+(${NAME}(?:\\s+${NAME}){0,3})`, 'i')
+  );
+  if (!place) {
+    return;
+  }
+
+  const words = [];
+  for (const word of place[1].split(/\s+/)) {
+    if (!isNameWord(word)) {
+      break;
+    }
+    words.push(word);
+  }
+  if (words.length === 0) {
+    return;
+  }
+
+  const name = words.join(' ');
+  const text = place[0].slice(0, place[0].indexOf(place[1]) + name.length);
+  const code = toStateCode(name);
+  if (code && (name.length === 2 || !CITY_STATE_NAMES.has(name.toLowerCase()))) {
+    state.set('state', code, text);
+  } else {
+    if (code) {
+      state.ambiguities.push(`"${name}" can be a city or a state; searching the city. Add the state, e.g. "${name}, ${code}", to be explicit.`);
+    }
+    state.set('city', titleCase(name), text);
+  }
+  state.consume(text);
+}
+
+/**
+ * Parse a natural language doctor search
+ * @param {string} message - Message text
+ * @param {object} [options] - Parse options
+ * @param {boolean} [options.followUp=false] - The message answers a clarifying question, so a bare
+ *   word like "Smith" is a last name and a bare "Seattle, WA" is a place
+ * @returns {{params: object, interpretation: Array<{field: string, value: string, text: string}>, ambiguities: string[]}}
+ *   Search parameters (lastname, firstname, gender, specialty, zipcode, city, state, radius), the fragment
+ *   of the message each was read from, and notes on anything that could be read more than one way
+ */
+export function parseDoctorQuery(message, { followUp = false } = {}) {
+  const state = new ParseState(message || '');
+
+  parseRadius(state);
+  parseZipcode(state);
+  parseNames(state);
+  parseSpecialty(state);
+  parsePlace(state, followUp);
+  parseGender(state);
+
+  if (followUp && Object.keys(state.params).length === 0) {
+    const bareWord = state.remaining.trim().match(new RegExp(`^(${NAME})[.!]?$`));
+    if (bareWord && isNameWord(bareWord[1])) {
+      state.set('lastname', bareWord[1], bareWord[1]);
+    }
+  }
+
+  return { params: state.params, interpretation: state.interpretation, ambiguities: state.ambiguities };
+}
@@ -0,0 +1,110 @@
+/**
+ * Per-client rate limiting and daily quotas of A2A requests
+ * Buckets and counters live in the task store, so limits hold across Lambda containers
+ * @module rateLimiter
+ */
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger('RateLimiter');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Limits of a client, every one optional:
+ * - requestsPerSecond: refill rate of the token bucket
+ * - burst: size of the token bucket, requestsPerSecond by default
+ * - dailyQuota: requests per UTC day
+ * @typedef {object} ClientLimits
+ */
+
+/**
+ * RateLimiter applies a token bucket and a daily quota to each client
+ * Clients are identified by their authenticated principal ("apikey:<name>", "jwt:<sub>"),
+ * or by source IP ("ip:<address>") when authentication is off
+ */
+export class RateLimiter {
+  /**
+   * Create a rate limiter
+   * @param {object} [limitsConfig] - config.a2a.rateLimits, no limits when absent
+   * @param {ClientLimits} [limitsConfig.default] - Limits of clients not listed in clients
+   * @param {Object<string, ClientLimits>} [limitsConfig.clients] - Limits per client key, merged over default
+   * @param {object} store - Task store keeping the buckets and counters (see taskStore.js)
+   */
+  constructor(limitsConfig, store) {
+    this.defaultLimits = limitsConfig?.default || {};
+    this.clientLimits = limitsConfig?.clients || {};
+    this.store = store;
+  }
+
+  /**
+   * Identify the client of a request
+   * @param {string} principal - Authenticated principal, "anonymous" without authentication
+   * @param {object} event - Lambda Function URL event
+   * @returns {string} Client key
+   */
+  clientKey(principal, event) {
+    if (principal && principal !== 'anonymous') {
+      return principal;
+    }
+    return `ip:${event.requestContext?.http?.sourceIp || 'unknown'}`;
+  }
+
+  /**
+   * Get the limits of a client
+   * @param {string} client - Client key
+   * @returns {ClientLimits} Limits, default ones overridden by the client's own
+   */
+  limitsFor(client) {
+    return { ...this.defaultLimits, ...this.clientLimits[client] };
+  }
+
+  /**
+   * Count a request against its client's rate limit, then its daily quota
+   * Requests are let through if the store fails, as refusing them would not protect anything
+   * @param {string} principal - Authenticated principal
+   * @param {object} event - Lambda Function URL event
+   * @returns {Promise<{allowed: boolean, client: string, limit?: string, message?: string, retryAfterSeconds?: number}>}
+   *   Decision; refused requests carry the limit hit ("rate" or "quota") and when to retry
+   */
+  async check(principal, event) {
+    const client = this.clientKey(principal, event);
+    const { requestsPerSecond, burst, dailyQuota } = this.limitsFor(client);
+
+    try {
+      if (requestsPerSecond) {
+        const { allowed, retryAfterMs } = await this.store.takeRateToken(`rate:${client}`, {
+          capacity: burst || requestsPerSecond,
+          intervalMs: 1000 / requestsPerSecond
+        });
+        if (!allowed) {
+          return {
+            allowed: false,
+            client,
+            limit: 'rate',
+            message: `Rate limit of ${requestsPerSecond} requests per second exceeded`,
+            retryAfterSeconds: Math.ceil(retryAfterMs / 1000)
+          };
+        }
+      }
+
+      if (dailyQuota) {
+        const endOfDay = Math.ceil((Date.now() + 1) / DAY_MS) * DAY_MS;
+        const used = await this.store.incrementCounter(`quota:${client}`, endOfDay);
+        if (used > dailyQuota) {
+          return {
+            allowed: false,
+            client,
+            limit: 'quota',
+            message: `Daily quota of ${dailyQuota} requests exceeded`,
+            retryAfterSeconds: Math.ceil((endOfDay - Date.now()) / 1000)
+          };
+        }
+      }
+    } catch (error) {
+      logger.error('Could not check limits, allowing request', { client, error });
+    }
+
+    return { allowed: true, client };
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * Cache of doctor search results, keyed on the normalized search parameters
+ * Agents often repeat the same search within minutes; a hit skips the datastore round trips
+ * The in-process LRU only helps requests landing on the same Lambda container; the mysql backend
+ * shares entries between containers in the healthylinkx database, behind the same LRU
+ * @module searchCache
+ */
+
+import crypto from 'crypto';
+import { normalizePage } from './queryBuilder.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('SearchCache');
+
+/**
+ * Search cache interface implemented by every backend:
+ * - get(key): Promise<{value, cachedAt}|undefined> (cachedAt in ms since epoch; undefined when missing or expired)
+ * - set(key, value): Promise<void>
+ * @typedef {object} SearchCache
+ */
+
+/**
+ * Build the cache key of a search
+ * Empty filters are dropped, text is trimmed and lowercased (the datastore compares text case-insensitively)
+ * and gender is reduced to M/F, so that equivalent searches share an entry
+ * @param {object} filters - SearchDoctors filters
+ * @param {object} [page] - Page options
+ * @returns {string} Key, a hex SHA-256 of the normalized parameters
+ */
+export function searchCacheKey(filters, page) {
+  const normalized = {};
+  for (const name of Object.keys(filters).sort()) {
+    const value = filters[name];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    normalized[name] = typeof value === 'string' ? value.trim().toLowerCase() : value;
+  }
+  if (normalized.gender) {
+    normalized.gender = ['male', 'm'].includes(String(normalized.gender)) ? 'M' : 'F';
+  }
+  if (normalized.radius !== undefined) {
+    normalized.radius = Number(normalized.radius);
+  }
+
+  const { limit, offset } = normalizePage(page);
+  return crypto.createHash('sha256').update(JSON.stringify({ filters: normalized, limit, offset })).digest('hex');
+}
+
+/**
+ * LruSearchCache keeps the most recently used entries in memory, up to maxEntries, each for ttlSeconds
+ */
+export class LruSearchCache {
+  /**
+   * Create an in-process cache
+   * @param {object} [options] - config.datastore.cache
+   * @param {number} [options.maxEntries=500] - Entries kept before the least recently used is evicted
+   * @param {number} [options.ttlSeconds=300] - Lifetime of an entry
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    this.ttlMs = (options.ttlSeconds || 300) * 1000;
+    // Maps iterate in insertion order, so the first key is the least recently used
+    this.entries = new Map();
+  }
+
+  /**
+   * Look up an entry and mark it as recently used
+   * @param {string} key - Cache key
+   * @returns {Promise<{value: object, cachedAt: number}|undefined>} A copy of the entry, if fresh
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) {
+      return undefined;
+    }
+    this.entries.set(key, entry);
+    return { value: structuredClone(entry.value), cachedAt: entry.cachedAt };
+  }
+
+  /**
+   * Store an entry, evicting the least recently used ones beyond maxEntries
+   * @param {string} key - Cache key
+   * @param {object} value - Search result
+   * @param {number} [cachedAt] - When the value was computed, now by default
+   * @returns {Promise<void>}
+   */
+  async set(key, value, cachedAt = Date.now()) {
+    this.entries.delete(key);
+    this.entries.set(key, { value: structuredClone(value), cachedAt, expiresAt: cachedAt + this.ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+/**
+ * MySqlSearchCache shares entries between Lambda containers in the a2a_search_cache table
+ * The table is bounded by the TTL: expired rows are purged a few at a time on every write
+ */
+export class MySqlSearchCache {
+  /**
+   * Create a MySQL-backed cache
+   * @param {object} options - config.datastore.cache
+   * @param {number} [options.ttlSeconds=300] - Lifetime of an entry
+   * @param {function(string, Array): Promise<Array>} queryDatastore - Runs a statement on the pooled datastore
+   */
+  constructor(options, queryDatastore) {
+    this.ttlMs = (options.ttlSeconds || 300) * 1000;
+    this.queryDatastore = queryDatastore;
+    this.tableReady = false;
+  }
+
+  /**
+   * Run a statement on the datastore, creating the table on first use
+   * @param {string} sql - SQL statement with placeholders
+   * @param {Array} values - Placeholder values
+   * @returns {Promise<Array>} Result rows
+   */
+  async query(sql, values) {
+    if (!this.tableReady) {
+      await this.queryDatastore(`CREATE TABLE IF NOT EXISTS a2a_search_cache (
+        cache_key CHAR(64) NOT NULL PRIMARY KEY,
+        value MEDIUMTEXT NOT NULL,
+        cached_at BIGINT NOT NULL,
+        expires_at BIGINT NOT NULL,
+        INDEX idx_a2a_search_cache_expiry (expires_at)
+      )`);
+      this.tableReady = true;
+    }
+    return await this.queryDatastore(sql, values);
+  }
+
+  /**
+   * Look up an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<{value: object, cachedAt: number}|undefined>} The entry, if fresh
+   */
+  async get(key) {
+    const rows = await this.query(
+      'SELECT value, cached_at FROM a2a_search_cache WHERE cache_key = ? AND expires_at > ?',
+      [key, Date.now()]
+    );
+    return rows.length > 0 ? { value: JSON.parse(rows[0].value), cachedAt: Number(rows[0].cached_at) } : undefined;
+  }
+
+  /**
+   * Store (insert or replace) an entry and purge some expired ones
+   * @param {string} key - Cache key
+   * @param {object} value - Search result
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    const now = Date.now();
+    await this.query(
+      'INSERT INTO a2a_search_cache (cache_key, value, cached_at, expires_at) VALUES (?, ?, ?, ?) ' +
+      'ON DUPLICATE KEY UPDATE value = VALUES(value), cached_at = VALUES(cached_at), expires_at = VALUES(expires_at)',
+      [key, JSON.stringify(value), now, now + this.ttlMs]
+    );
+    await this.query('DELETE FROM a2a_search_cache WHERE expires_at <= ? LIMIT 100', [now]);
+  }
+}
+
+/**
+ * TieredSearchCache answers from the in-process cache first, then from the shared one
+ * Failures of the shared cache are logged and treated as misses, so they never fail a search
+ */
+export class TieredSearchCache {
+  /**
+   * Create a two-level cache
+   * @param {LruSearchCache} local - In-process cache
+   * @param {SearchCache} shared - Cache shared between containers
+   */
+  constructor(local, shared) {
+    this.local = local;
+    this.shared = shared;
+  }
+
+  /**
+   * Look up an entry locally, then in the shared cache, keeping shared hits locally
+   * @param {string} key - Cache key
+   * @returns {Promise<{value: object, cachedAt: number}|undefined>} The entry, if fresh
+   */
+  async get(key) {
+    const local = await this.local.get(key);
+    if (local) {
+      return local;
+    }
+
+    try {
+      const shared = await this.shared.get(key);
+      if (shared) {
+        await this.local.set(key, shared.value, shared.cachedAt);
+      }
+      return shared;
+    } catch (error) {
+      logger.error('Could not read the shared cache', { error });
+      return undefined;
+    }
+  }
+
+  /**
+   * Store an entry in both caches
+   * @param {string} key - Cache key
+   * @param {object} value - Search result
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    await this.local.set(key, value);
+    try {
+      await this.shared.set(key, value);
+    } catch (error) {
+      logger.error('Could not write the shared cache', { error });
+    }
+  }
+}
+
+/**
+ * Create the search cache selected in config.json
+ * @param {object} [cacheConfig] - config.datastore.cache, no cache when absent
+ * @param {string} [cacheConfig.type=none] - "none", "memory" or "mysql"
+ * @param {function(string, Array): Promise<Array>} mysqlQuery - Runs a statement on the pooled MySQL datastore
+ * @returns {SearchCache|null} Search cache, null without caching
+ * @throws {Error} If the type is unknown
+ */
+export function createSearchCache(cacheConfig = {}, mysqlQuery) {
+  const type = cacheConfig.type || 'none';
+
+  switch (type) {
+    case 'none':
+      return null;
+
+    case 'memory':
+      return new LruSearchCache(cacheConfig);
+
+    case 'mysql':
+      return new TieredSearchCache(new LruSearchCache(cacheConfig), new MySqlSearchCache(cacheConfig, mysqlQuery));
+
+    default:
+      throw new Error(`Unknown search cache type: ${type}. Supported types: none, memory, mysql`);
+  }
+}
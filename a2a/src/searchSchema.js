@@ -0,0 +1,100 @@
+/**
+ * Schemas of the structured parameters accepted as a DataPart by each skill
+ * @module searchSchema
+ */
+
+import { z } from 'zod';
+
+// Names and cities: letters, spaces, periods, hyphens and apostrophes
+const namePattern = /^[A-Za-z][A-Za-z .'-]*$/;
+const namePatternMessage = 'must contain only letters, spaces, periods, hyphens or apostrophes';
+
+/**
+ * Structured search parameters, e.g. { "lastname": "Smith", "zipcode": "10001", "pageSize": 10 }
+ * Unknown fields are rejected so that typos don't silently widen a search
+ */
+export const SearchParamsSchema = z.object({
+  gender: z.enum(['male', 'female', 'M', 'F', 'm', 'f']).optional(),
+  lastname: z.string().trim().min(1).max(64).regex(namePattern, namePatternMessage).optional(),
+  firstname: z.string().trim().min(1).max(64).regex(namePattern, namePatternMessage).optional(),
+  specialty: z.string().trim().min(1).max(128).regex(/^[A-Za-z][A-Za-z ,&/().-]*$/, 'must be a specialty name').optional(),
+  // ZIP+4 codes are accepted and cut to their 5 digits, the only part npidata2 and zipcodes know
+  zipcode: z.union([z.string().trim(), z.number().int()])
+    .transform(value => String(value).padStart(5, '0'))
+    .pipe(z.string().regex(/^\d{5}(-\d{4})?$/, 'must be a 5-digit zipcode or ZIP+4'))
+    .transform(value => value.slice(0, 5))
+    .optional(),
+  city: z.string().trim().min(1).max(64).regex(namePattern, namePatternMessage).optional(),
+  // radius search: miles around zipcode, nearest doctors first
+  radius: z.number().positive().max(100).optional(),
+  state: z.string().trim().regex(/^[A-Za-z]{2}$/, 'must be a 2-letter state code').transform(value => value.toUpperCase()).optional(),
+  // pagination: the token from a previous result's nextPageToken, and the page size
+  pageToken: z.string().max(4096).optional(),
+  pageSize: z.number().int().min(1).max(100).optional()
+}).strict();
+
+/**
+ * Provider lookup for the provider-details skill: { "npi": "1234567890" } or { "firstname": "Maria", "lastname": "Lopez" }
+ */
+export const ProviderLookupSchema = z.object({
+  npi: z.union([z.string(), z.number().int()])
+    .transform(value => String(value))
+    .pipe(z.string().regex(/^\d{10}$/, 'must be a 10-digit NPI'))
+    .optional(),
+  lastname: SearchParamsSchema.shape.lastname,
+  firstname: SearchParamsSchema.shape.firstname
+}).strict().refine(data => data.npi || data.lastname, 'npi or lastname is required');
+
+/**
+ * Filter of the list-specialties skill: { "zipcode": "98052" }, or nothing for all specialties
+ */
+export const SpecialtyListSchema = z.object({
+  zipcode: SearchParamsSchema.shape.zipcode
+}).strict();
+
+/**
+ * Validate data against a schema
+ * @param {z.ZodType} schema - Schema to validate with
+ * @param {object} data - Data from a message DataPart
+ * @returns {{params: object}|{errors: string[]}} Normalized parameters, or readable validation errors
+ */
+function validate(schema, data) {
+  const result = schema.safeParse(data);
+
+  if (!result.success) {
+    return {
+      errors: result.error.issues.map(issue =>
+        issue.path.length > 0 ? `${issue.path.join('.')}: ${issue.message}` : issue.message
+      )
+    };
+  }
+
+  return { params: result.data };
+}
+
+/**
+ * Validate structured search parameters
+ * @param {object} data - Data from a message DataPart
+ * @returns {{params: object}|{errors: string[]}} Normalized parameters, or readable validation errors
+ */
+export function validateSearchParams(data) {
+  return validate(SearchParamsSchema, data);
+}
+
+/**
+ * Validate a structured provider lookup
+ * @param {object} data - Data from a message DataPart
+ * @returns {{params: object}|{errors: string[]}} Normalized lookup, or readable validation errors
+ */
+export function validateProviderLookup(data) {
+  return validate(ProviderLookupSchema, data);
+}
+
+/**
+ * Validate a structured specialty list filter
+ * @param {object} data - Data from a message DataPart
+ * @returns {{params: object}|{errors: string[]}} Normalized filter, or readable validation errors
+ */
+export function validateSpecialtyListFilter(data) {
+  return validate(SpecialtyListSchema, data);
+}
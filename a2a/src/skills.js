@@ -0,0 +1,102 @@
+/**
+ * Skills of the agent and routing of messages to them
+ * @module skills
+ */
+
+import { parseDoctorQuery } from './queryParser.js';
+
+/**
+ * Skill IDs, as listed in the agent card
+ */
+export const SKILLS = {
+  DOCTOR_SEARCH: 'doctor-search',
+  PROVIDER_DETAILS: 'provider-details',
+  LIST_SPECIALTIES: 'list-specialties'
+};
+
+const SKILL_IDS = new Set(Object.values(SKILLS));
+
+/**
+ * Requests for the specialty catalog, e.g. "list specialties in 98052" or "which specialties are available?"
+ */
+const LIST_SPECIALTIES_PATTERN = /\b(?:list|show|what|which|available|all)\b[^.?!]*\b(?:specialties|specialities|specializations|classifications)\b/i;
+
+/**
+ * Requests for a provider's record, e.g. "details for Dr. Maria Lopez" or "NPI 1234567890"
+ */
+const PROVIDER_DETAILS_PATTERN = /\b(?:npi|details?|information|info|profile|record)\b/i;
+
+/**
+ * A National Provider Identifier: 10 digits
+ */
+const NPI_PATTERN = /\b(\d{10})\b/;
+
+/**
+ * Capitalized names after "details for", "info about" and similar, when there is no "Dr." or "named"
+ * Names must be capitalized so that "information on cardiologists" stays a search
+ */
+const PROVIDER_NAME_PATTERN = /\b(?:[Dd]etails?|[Ii]nformation|[Ii]nfo|[Pp]rofile|[Rr]ecord)\s+(?:on|about|for|of)\s+([A-Z][A-Za-z'-]*)(?:\s+([A-Z][A-Za-z'-]*))?/;
+
+/**
+ * Select the skill that handles a message
+ * In order: the skill requested in the message metadata (metadata.skillId), the skill of a task
+ * waiting for input, then the intent detected in the data or text
+ * @param {object} requestContext - A2A request context containing userMessage and task
+ * @param {string} messageText - Text of the user message
+ * @param {object|null} messageData - Data of the user message's data parts
+ * @returns {string} Skill ID
+ */
+export function selectSkill(requestContext, messageText, messageData) {
+  const { userMessage, task } = requestContext;
+
+  const requested = userMessage?.metadata?.skillId;
+  if (SKILL_IDS.has(requested)) {
+    return requested;
+  }
+
+  if (task.status.state === 'input-required' && SKILL_IDS.has(task.metadata?.skill)) {
+    return task.metadata.skill;
+  }
+
+  if (messageData) {
+    return messageData.npi !== undefined ? SKILLS.PROVIDER_DETAILS : SKILLS.DOCTOR_SEARCH;
+  }
+
+  if (LIST_SPECIALTIES_PATTERN.test(messageText)) {
+    return SKILLS.LIST_SPECIALTIES;
+  }
+  // "details" alone is common in searches too, so a provider must be named as well
+  if (NPI_PATTERN.test(messageText) ||
+      (PROVIDER_DETAILS_PATTERN.test(messageText) && Object.keys(parseProviderQuery(messageText)).length > 0)) {
+    return SKILLS.PROVIDER_DETAILS;
+  }
+  return SKILLS.DOCTOR_SEARCH;
+}
+
+/**
+ * Parse the provider a provider-details message asks about
+ * @param {string} message - Message text, e.g. "details for Dr. Maria Lopez" or "NPI 1234567890"
+ * @param {object} [options] - Parse options
+ * @param {boolean} [options.followUp=false] - The message answers a clarifying question
+ * @returns {{npi?: string, firstname?: string, lastname?: string}} Provider identification, empty if none was found
+ */
+export function parseProviderQuery(message, { followUp = false } = {}) {
+  const npi = message.match(NPI_PATTERN);
+  if (npi) {
+    return { npi: npi[1] };
+  }
+
+  const { firstname, lastname } = parseDoctorQuery(message, { followUp }).params;
+  if (lastname) {
+    return firstname ? { firstname, lastname } : { lastname };
+  }
+
+  const named = message.match(PROVIDER_NAME_PATTERN);
+  if (named && !/^dr$/i.test(named[1])) {
+    return named[2] ? { firstname: named[1], lastname: named[2] } : { lastname: named[1] };
+  }
+
+  // A bare "Maria Lopez" answering "Which provider?"
+  const bare = followUp && message.trim().match(/^([A-Za-z][A-Za-z'-]*)\s+([A-Za-z][A-Za-z'-]*)[.!]?$/);
+  return bare ? { firstname: bare[1], lastname: bare[2] } : {};
+}
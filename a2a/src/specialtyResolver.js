@@ -0,0 +1,283 @@
+/**
+ * Resolution of free-text specialties onto the Classification values stored in npidata2
+ * Built on the taxonomy and speciality tables (Classification, Specialization) plus a list of lay terms
+ * @module specialtyResolver
+ */
+
+import { ListTaxonomy } from './healthylinkx.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('SpecialtyResolver');
+
+/**
+ * How long the taxonomy loaded from the datastore is reused
+ */
+const CATALOG_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Lay terms that don't resemble the taxonomy names they stand for
+ * Keys are matched after normalization, so plurals and case don't matter
+ */
+const LAY_TERMS = {
+  'heart doctor': { classification: 'Internal Medicine', specialization: 'Cardiovascular Disease' },
+  'cardiologist': { classification: 'Internal Medicine', specialization: 'Cardiovascular Disease' },
+  'cardiology': { classification: 'Internal Medicine', specialization: 'Cardiovascular Disease' },
+  'gastroenterologist': { classification: 'Internal Medicine', specialization: 'Gastroenterology' },
+  'stomach doctor': { classification: 'Internal Medicine', specialization: 'Gastroenterology' },
+  'endocrinologist': { classification: 'Internal Medicine', specialization: 'Endocrinology, Diabetes & Metabolism' },
+  'diabetes doctor': { classification: 'Internal Medicine', specialization: 'Endocrinology, Diabetes & Metabolism' },
+  'oncologist': { classification: 'Internal Medicine', specialization: 'Medical Oncology' },
+  'cancer doctor': { classification: 'Internal Medicine', specialization: 'Medical Oncology' },
+  'lung doctor': { classification: 'Internal Medicine', specialization: 'Pulmonary Disease' },
+  'pulmonologist': { classification: 'Internal Medicine', specialization: 'Pulmonary Disease' },
+  'kidney doctor': { classification: 'Internal Medicine', specialization: 'Nephrology' },
+  'nephrologist': { classification: 'Internal Medicine', specialization: 'Nephrology' },
+  'rheumatologist': { classification: 'Internal Medicine', specialization: 'Rheumatology' },
+  'internist': { classification: 'Internal Medicine' },
+  'family doctor': { classification: 'Family Medicine' },
+  'family physician': { classification: 'Family Medicine' },
+  'general practitioner': { classification: 'Family Medicine' },
+  'primary care': { classification: 'Family Medicine' },
+  'primary care doctor': { classification: 'Family Medicine' },
+  'pediatrician': { classification: 'Pediatrics' },
+  'kids doctor': { classification: 'Pediatrics' },
+  'children doctor': { classification: 'Pediatrics' },
+  'child doctor': { classification: 'Pediatrics' },
+  'obgyn': { classification: 'Obstetrics & Gynecology' },
+  'ob gyn': { classification: 'Obstetrics & Gynecology' },
+  'gynecologist': { classification: 'Obstetrics & Gynecology', specialization: 'Gynecology' },
+  'obstetrician': { classification: 'Obstetrics & Gynecology', specialization: 'Obstetrics' },
+  'psychiatrist': { classification: 'Psychiatry & Neurology', specialization: 'Psychiatry' },
+  'neurologist': { classification: 'Psychiatry & Neurology', specialization: 'Neurology' },
+  'eye doctor': { classification: 'Ophthalmology' },
+  'ophthalmologist': { classification: 'Ophthalmology' },
+  'skin doctor': { classification: 'Dermatology' },
+  'dermatologist': { classification: 'Dermatology' },
+  'bone doctor': { classification: 'Orthopaedic Surgery' },
+  'orthopedist': { classification: 'Orthopaedic Surgery' },
+  'orthopedic surgeon': { classification: 'Orthopaedic Surgery' },
+  'orthopedic': { classification: 'Orthopaedic Surgery' },
+  'foot doctor': { classification: 'Podiatrist' },
+  'ear nose and throat': { classification: 'Otolaryngology' },
+  'ear nose throat': { classification: 'Otolaryngology' },
+  'allergist': { classification: 'Allergy & Immunology' },
+  'surgeon': { classification: 'Surgery' },
+  'general surgeon': { classification: 'Surgery' },
+  'plastic surgeon': { classification: 'Plastic Surgery' },
+  'urologist': { classification: 'Urology' },
+  'radiologist': { classification: 'Radiology' },
+  'anesthesiologist': { classification: 'Anesthesiology' },
+  'emergency doctor': { classification: 'Emergency Medicine' },
+  'er doctor': { classification: 'Emergency Medicine' },
+  'dentist': { classification: 'Dentist' },
+  'tooth doctor': { classification: 'Dentist' },
+  'chiropractor': { classification: 'Chiropractor' },
+  'physical therapist': { classification: 'Physical Therapist' }
+};
+
+/**
+ * Abbreviations of specialties, only accepted as the whole specialty field given to resolve:
+ * two- and three-letter abbreviations match ordinary words and initials in free text
+ */
+const ABBREVIATIONS = {
+  'gp': { classification: 'Family Medicine' },
+  'ent': { classification: 'Otolaryngology' },
+  'pt': { classification: 'Physical Therapist' }
+};
+
+/**
+ * Words that only say "a doctor" and can be dropped from a specialty, e.g. "dermatology doctor"
+ */
+const GENERIC_WORDS = new Set(['doctor', 'physician', 'specialist', 'dr', 'md', 'provider']);
+
+/**
+ * Singularize one lowercase word: "pediatrics" -> "pediatric", "therapies" -> "therapy"
+ * @param {string} word - Lowercase word
+ * @returns {string} Singular form (best effort, applied the same way to both sides of a match)
+ */
+function singularize(word) {
+  if (word.length > 4 && word.endsWith('ies')) {
+    return word.slice(0, -3) + 'y';
+  }
+  if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+/**
+ * Normalize a specialty name or phrase for matching
+ * @param {string} term - Specialty name or phrase
+ * @returns {string} Lowercase singular words separated by single spaces
+ */
+export function normalizeSpecialty(term) {
+  return String(term)
+    .toLowerCase()
+    .replace(/'s\b/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map(singularize)
+    .join(' ');
+}
+
+/**
+ * Drop generic words like "doctor" unless nothing else is left
+ * @param {string} normalized - Normalized phrase
+ * @returns {string} Phrase without generic words
+ */
+function stripGenericWords(normalized) {
+  const words = normalized.split(' ').filter(word => !GENERIC_WORDS.has(word));
+  return words.length > 0 ? words.join(' ') : normalized;
+}
+
+/**
+ * Derive the field name from a practitioner name: "urologist" -> "urology", "pediatrician" -> "pediatric"
+ * @param {string} normalized - Normalized phrase
+ * @returns {string} Phrase with its practitioner suffixes rewritten
+ */
+function practitionerToField(normalized) {
+  return normalized
+    .split(' ')
+    .map(word => word.replace(/ologist$/, 'ology').replace(/ician$/, 'ic'))
+    .join(' ');
+}
+
+/**
+ * SpecialtyResolver maps lay terms, plurals and multi-word names onto canonical classifications
+ */
+export class SpecialtyResolver {
+  /**
+   * Create a resolver
+   * @param {function(): Promise<{statusCode: number, result: Array}>} [loadTaxonomy] - Loads taxonomy rows
+   */
+  constructor(loadTaxonomy = ListTaxonomy) {
+    this.loadTaxonomy = loadTaxonomy;
+    this.catalog = null;
+    this.catalogExpires = 0;
+
+    this.layTerms = new Map(
+      Object.entries(LAY_TERMS).map(([term, target]) => [normalizeSpecialty(term), target])
+    );
+    this.abbreviations = new Map(Object.entries(ABBREVIATIONS));
+  }
+
+  /**
+   * Load the taxonomy into lookup maps, reusing it for an hour
+   * If the taxonomy can't be loaded, only the lay terms are used
+   * @returns {Promise<{classifications: Map, specializations: Map}>} Normalized name -> taxonomy entry
+   */
+  async getCatalog() {
+    if (this.catalog && Date.now() < this.catalogExpires) {
+      return this.catalog;
+    }
+
+    const classifications = new Map();
+    const specializations = new Map();
+
+    const reply = await this.loadTaxonomy();
+    if (reply.statusCode === 200) {
+      for (const row of reply.result) {
+        const classification = row.Classification?.trim();
+        if (!classification) {
+          continue;
+        }
+        classifications.set(normalizeSpecialty(classification), { classification });
+
+        const specialization = row.Specialization?.trim();
+        if (specialization) {
+          specializations.set(normalizeSpecialty(specialization), { classification, specialization });
+        }
+      }
+      this.catalog = { classifications, specializations };
+      this.catalogExpires = Date.now() + CATALOG_TTL_MS;
+      return this.catalog;
+    }
+
+    // Don't cache a failed load, the next request tries again
+    logger.warn('Taxonomy unavailable, using lay terms only');
+    return { classifications, specializations };
+  }
+
+  /**
+   * Look up a normalized phrase in the lay terms and the taxonomy
+   * @param {string} normalized - Normalized phrase
+   * @param {object} catalog - Catalog from getCatalog
+   * @returns {{classification: string, specialization?: string, matchedBy: string}|null} Match, if any
+   */
+  lookup(normalized, catalog) {
+    if (this.layTerms.has(normalized)) {
+      return { ...this.layTerms.get(normalized), matchedBy: 'lay-term' };
+    }
+    if (catalog.classifications.has(normalized)) {
+      return { ...catalog.classifications.get(normalized), matchedBy: 'classification' };
+    }
+    if (catalog.specializations.has(normalized)) {
+      return { ...catalog.specializations.get(normalized), matchedBy: 'specialization' };
+    }
+    return null;
+  }
+
+  /**
+   * Resolve a free-text specialty to a classification
+   * @param {string} term - Specialty as written by the user, e.g. "heart doctors" or "family medicine"
+   * @returns {Promise<{requested: string, classification: string, specialization?: string, matchedBy: string}|null>}
+   *   The chosen classification and how it was matched, or null if nothing matches
+   */
+  async resolve(term) {
+    const normalized = normalizeSpecialty(term);
+    if (!normalized) {
+      return null;
+    }
+    const abbreviation = this.abbreviations.get(normalized) || this.abbreviations.get(stripGenericWords(normalized));
+    if (abbreviation) {
+      return { requested: term, ...abbreviation, matchedBy: 'lay-term' };
+    }
+
+    const catalog = await this.getCatalog();
+    const candidates = [normalized, stripGenericWords(normalized)];
+    candidates.push(...candidates.map(practitionerToField));
+
+    for (const candidate of candidates) {
+      const match = this.lookup(candidate, catalog);
+      if (match) {
+        return { requested: term, ...match };
+      }
+    }
+
+    // Partial match on whole words, e.g. "orthopaedic" -> "Orthopaedic Surgery"; classifications first
+    const field = practitionerToField(stripGenericWords(normalized));
+    const containsField = name => ` ${name} `.includes(` ${field} `);
+    for (const [entries, matchedBy] of [[catalog.classifications, 'partial-classification'], [catalog.specializations, 'partial-specialization']]) {
+      const names = [...entries.keys()].filter(containsField).sort((a, b) => a.length - b.length);
+      if (names.length > 0) {
+        return { requested: term, ...entries.get(names[0]), matchedBy };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find a specialty mentioned anywhere in a free-text message, e.g. "find cardiologists in 98052"
+   * Abbreviations are left out, as short words match too much of ordinary text
+   * @param {string} message - Message text
+   * @returns {Promise<string|undefined>} The longest specialty phrase found, as a normalized phrase
+   */
+  async findInText(message) {
+    const catalog = await this.getCatalog();
+    const normalized = normalizeSpecialty(message);
+    const text = ` ${normalized} `;
+    const fieldText = ` ${practitionerToField(normalized)} `;
+    const taxonomyNames = [...catalog.classifications.keys(), ...catalog.specializations.keys()];
+
+    const found = [
+      ...[...this.layTerms.keys()].filter(term => text.includes(` ${term} `)),
+      ...taxonomyNames.filter(name => text.includes(` ${name} `) || fieldText.includes(` ${name} `))
+    ];
+
+    return found.sort((a, b) => b.length - a.length)[0];
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Server-Sent Events helpers for streaming A2A responses
+ * Bridges executor event bus publications to an SSE response body
+ * @module streaming
+ */
+
+/**
+ * ExecutionEventQueue collects events published by an executor and exposes
+ * them as an async iterable, so they can be written to the client as they happen
+ */
+export class ExecutionEventQueue {
+  /**
+   * Create a new, open event queue
+   */
+  constructor() {
+    this.events = [];
+    this.closed = false;
+    this.waiting = null;
+  }
+
+  /**
+   * Publish an event to the queue (event bus interface used by executors)
+   * @param {object} event - A2A event (task, status-update, artifact-update)
+   */
+  publish(event) {
+    if (this.closed) {
+      return;
+    }
+    this.events.push(event);
+    this.wake();
+  }
+
+  /**
+   * Close the queue; iteration ends once the pending events are consumed
+   */
+  close() {
+    this.closed = true;
+    this.wake();
+  }
+
+  /**
+   * Resume a consumer waiting for the next event
+   */
+  wake() {
+    if (this.waiting) {
+      const resolve = this.waiting;
+      this.waiting = null;
+      resolve();
+    }
+  }
+
+  /**
+   * Iterate over published events until the queue is closed
+   * @returns {AsyncGenerator<object>} Published events in order
+   */
+  async *[Symbol.asyncIterator]() {
+    while (true) {
+      if (this.events.length > 0) {
+        yield this.events.shift();
+        continue;
+      }
+      if (this.closed) {
+        return;
+      }
+      await new Promise(resolve => { this.waiting = resolve; });
+    }
+  }
+}
+
+/**
+ * Check whether a Lambda response carries an event stream instead of a body
+ * @param {object} response - Lambda response object
+ * @returns {boolean} True if the response has an events iterable
+ */
+export function isStreamingResponse(response) {
+  return Boolean(response && response.events);
+}
+
+/**
+ * Format a payload as a single SSE event
+ * @param {object} payload - JSON-serializable payload (a JSON-RPC response)
+ * @returns {string} SSE-formatted event
+ */
+export function formatSseEvent(payload) {
+  return `data: ${JSON.stringify(payload)}\n\n`;
+}
+
+/**
+ * Drain a streaming response into a regular Lambda response
+ * Used when the function URL is not configured for response streaming
+ * @param {object} response - Lambda response with an events iterable
+ * @returns {Promise<object>} Lambda response with the SSE events as body
+ */
+export async function bufferStreamingResponse(response) {
+  let body = '';
+  for await (const payload of response.events) {
+    body += formatSseEvent(payload);
+  }
+
+  return {
+    statusCode: response.statusCode,
+    headers: response.headers,
+    body
+  };
+}
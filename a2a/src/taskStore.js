@@ -0,0 +1,472 @@
+/**
+ * Pluggable task storage for the A2A adapter
+ * Lambda containers do not share memory, so tasks/get and tasks/cancel only work
+ * across invocations with a shared backend (mysql) or a long-lived container (sqlite)
+ * The store also keeps the rate limit buckets and quota counters, for the same reason
+ * @module taskStore
+ */
+
+import { isBuiltin } from 'module';
+import { QueryDatastore } from './healthylinkx.js';
+
+/**
+ * Task store interface implemented by every backend:
+ * - load(taskId): Promise<object|undefined>
+ * - save(task): Promise<void>
+ * - findByContextId(contextId): Promise<object[]> (most recently updated first)
+ * - loadPushConfig(taskId): Promise<object|undefined>
+ * - savePushConfig(taskId, pushConfig): Promise<void>
+ * - takeRateToken(key, { capacity, intervalMs }): Promise<{allowed, retryAfterMs}>
+ * - incrementCounter(key, expiresAt): Promise<number>
+ * - checkHealth(): Promise<void> (rejects if the store can't be reached)
+ * @typedef {object} TaskStore
+ */
+
+/**
+ * Token buckets are kept as their theoretical arrival time (GCRA): the time at which the bucket
+ * would be full again. A request is allowed if taking a token leaves the bucket at or below
+ * capacity, i.e. if max(tat, now) + intervalMs - now <= capacity * intervalMs
+ * @param {number} tat - Theoretical arrival time of the bucket, ms since epoch
+ * @param {{capacity: number, intervalMs: number}} bucket - Bucket size and time to refill one token
+ * @param {number} now - Current time, ms since epoch
+ * @returns {{allowed: boolean, tat: number, retryAfterMs: number}} Decision and new arrival time
+ */
+export function takeToken(tat, { capacity, intervalMs }, now) {
+  const next = Math.max(tat, now) + intervalMs;
+  const retryAfterMs = next - capacity * intervalMs - now;
+  return retryAfterMs <= 0
+    ? { allowed: true, tat: next, retryAfterMs: 0 }
+    : { allowed: false, tat, retryAfterMs };
+}
+
+/**
+ * InMemoryTaskStore keeps tasks in a Map for the life of the Lambda container
+ */
+export class InMemoryTaskStore {
+  /**
+   * Create an empty in-memory store
+   */
+  constructor() {
+    this.tasks = new Map();
+    this.pushConfigs = new Map();
+    this.rateLimits = new Map();
+    this.counters = new Map();
+    this.revision = 0; // orders saves that happen within the same millisecond
+  }
+
+  /**
+   * Load a task by ID
+   * @param {string} taskId - Task ID
+   * @returns {Promise<object|undefined>} The stored task, if any
+   */
+  async load(taskId) {
+    const entry = this.tasks.get(taskId);
+    return entry ? structuredClone(entry.task) : undefined;
+  }
+
+  /**
+   * Save (insert or replace) a task
+   * @param {object} task - Task object with id and contextId
+   * @returns {Promise<void>}
+   */
+  async save(task) {
+    this.tasks.set(task.id, { task: structuredClone(task), revision: ++this.revision });
+  }
+
+  /**
+   * Find the tasks of a context
+   * @param {string} contextId - Context ID
+   * @returns {Promise<object[]>} Tasks, most recently updated first
+   */
+  async findByContextId(contextId) {
+    return [...this.tasks.values()]
+      .filter(entry => entry.task.contextId === contextId)
+      .sort((a, b) => b.revision - a.revision)
+      .map(entry => structuredClone(entry.task));
+  }
+
+  /**
+   * Load the push notification config registered for a task
+   * @param {string} taskId - Task ID
+   * @returns {Promise<object|undefined>} PushNotificationConfig, if any
+   */
+  async loadPushConfig(taskId) {
+    const pushConfig = this.pushConfigs.get(taskId);
+    return pushConfig ? structuredClone(pushConfig) : undefined;
+  }
+
+  /**
+   * Save (insert or replace) the push notification config of a task
+   * @param {string} taskId - Task ID
+   * @param {object} pushConfig - PushNotificationConfig with url and optional token
+   * @returns {Promise<void>}
+   */
+  async savePushConfig(taskId, pushConfig) {
+    this.pushConfigs.set(taskId, structuredClone(pushConfig));
+  }
+
+  /**
+   * Take a token from a rate limit bucket
+   * @param {string} key - Bucket key
+   * @param {{capacity: number, intervalMs: number}} bucket - Bucket size and time to refill one token
+   * @returns {Promise<{allowed: boolean, retryAfterMs: number}>} Whether the request is allowed
+   */
+  async takeRateToken(key, bucket) {
+    const { allowed, tat, retryAfterMs } = takeToken(this.rateLimits.get(key) || 0, bucket, Date.now());
+    this.rateLimits.set(key, tat);
+    return { allowed, retryAfterMs };
+  }
+
+  /**
+   * Increment a counter, restarting it from zero once it expires
+   * @param {string} key - Counter key
+   * @param {number} expiresAt - Expiry of a newly started counter, ms since epoch
+   * @returns {Promise<number>} Value after the increment
+   */
+  async incrementCounter(key, expiresAt) {
+    const counter = this.counters.get(key);
+    if (!counter || counter.expiresAt <= Date.now()) {
+      this.counters.set(key, { value: 1, expiresAt });
+      return 1;
+    }
+    return ++counter.value;
+  }
+
+  /**
+   * Check that the store can be reached, which memory always can
+   * @returns {Promise<void>}
+   */
+  async checkHealth() {}
+}
+
+/**
+ * SqliteTaskStore persists tasks in a local SQLite file using node:sqlite (Node 22.13+)
+ * Useful for local runs; on Lambda the file only lives as long as the container's /tmp
+ */
+export class SqliteTaskStore {
+  /**
+   * Create a SQLite-backed store
+   * @param {string} filename - Path of the SQLite database file
+   */
+  constructor(filename) {
+    this.filename = filename;
+    this.db = null;
+  }
+
+  /**
+   * Open the database and create the tables on first use
+   * @returns {Promise<object>} The DatabaseSync handle
+   */
+  async open() {
+    if (!this.db) {
+      const { DatabaseSync } = await import('node:sqlite');
+      this.db = new DatabaseSync(this.filename);
+      this.db.exec(`CREATE TABLE IF NOT EXISTS a2a_tasks (
+        id TEXT PRIMARY KEY,
+        context_id TEXT NOT NULL,
+        task TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      )`);
+      this.db.exec(`CREATE TABLE IF NOT EXISTS a2a_push_configs (
+        task_id TEXT PRIMARY KEY,
+        config TEXT NOT NULL
+      )`);
+      this.db.exec(`CREATE TABLE IF NOT EXISTS a2a_rate_limits (
+        limit_key TEXT PRIMARY KEY,
+        tat INTEGER NOT NULL
+      )`);
+      this.db.exec(`CREATE TABLE IF NOT EXISTS a2a_counters (
+        counter_key TEXT PRIMARY KEY,
+        value INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+      )`);
+    }
+    return this.db;
+  }
+
+  /**
+   * Load a task by ID
+   * @param {string} taskId - Task ID
+   * @returns {Promise<object|undefined>} The stored task, if any
+   */
+  async load(taskId) {
+    const db = await this.open();
+    const row = db.prepare('SELECT task FROM a2a_tasks WHERE id = ?').get(taskId);
+    return row ? JSON.parse(row.task) : undefined;
+  }
+
+  /**
+   * Save (insert or replace) a task
+   * @param {object} task - Task object with id and contextId
+   * @returns {Promise<void>}
+   */
+  async save(task) {
+    const db = await this.open();
+    db.prepare('INSERT OR REPLACE INTO a2a_tasks (id, context_id, task, updated_at) VALUES (?, ?, ?, ?)')
+      .run(task.id, task.contextId, JSON.stringify(task), Date.now());
+  }
+
+  /**
+   * Find the tasks of a context
+   * @param {string} contextId - Context ID
+   * @returns {Promise<object[]>} Tasks, most recently updated first
+   */
+  async findByContextId(contextId) {
+    const db = await this.open();
+    const rows = db.prepare('SELECT task FROM a2a_tasks WHERE context_id = ? ORDER BY updated_at DESC, rowid DESC').all(contextId);
+    return rows.map(row => JSON.parse(row.task));
+  }
+
+  /**
+   * Load the push notification config registered for a task
+   * @param {string} taskId - Task ID
+   * @returns {Promise<object|undefined>} PushNotificationConfig, if any
+   */
+  async loadPushConfig(taskId) {
+    const db = await this.open();
+    const row = db.prepare('SELECT config FROM a2a_push_configs WHERE task_id = ?').get(taskId);
+    return row ? JSON.parse(row.config) : undefined;
+  }
+
+  /**
+   * Save (insert or replace) the push notification config of a task
+   * @param {string} taskId - Task ID
+   * @param {object} pushConfig - PushNotificationConfig with url and optional token
+   * @returns {Promise<void>}
+   */
+  async savePushConfig(taskId, pushConfig) {
+    const db = await this.open();
+    db.prepare('INSERT OR REPLACE INTO a2a_push_configs (task_id, config) VALUES (?, ?)')
+      .run(taskId, JSON.stringify(pushConfig));
+  }
+
+  /**
+   * Take a token from a rate limit bucket
+   * node:sqlite is synchronous, so the read and write can't interleave with other requests
+   * @param {string} key - Bucket key
+   * @param {{capacity: number, intervalMs: number}} bucket - Bucket size and time to refill one token
+   * @returns {Promise<{allowed: boolean, retryAfterMs: number}>} Whether the request is allowed
+   */
+  async takeRateToken(key, bucket) {
+    const db = await this.open();
+    const row = db.prepare('SELECT tat FROM a2a_rate_limits WHERE limit_key = ?').get(key);
+    const { allowed, tat, retryAfterMs } = takeToken(row ? row.tat : 0, bucket, Date.now());
+    db.prepare('INSERT OR REPLACE INTO a2a_rate_limits (limit_key, tat) VALUES (?, ?)').run(key, tat);
+    return { allowed, retryAfterMs };
+  }
+
+  /**
+   * Increment a counter, restarting it from zero once it expires
+   * @param {string} key - Counter key
+   * @param {number} expiresAt - Expiry of a newly started counter, ms since epoch
+   * @returns {Promise<number>} Value after the increment
+   */
+  async incrementCounter(key, expiresAt) {
+    const db = await this.open();
+    const now = Date.now();
+    const row = db.prepare(
+      'INSERT INTO a2a_counters (counter_key, value, expires_at) VALUES (?, 1, ?) ' +
+      'ON CONFLICT (counter_key) DO UPDATE SET ' +
+      'value = CASE WHEN expires_at <= ? THEN 1 ELSE value + 1 END, ' +
+      'expires_at = CASE WHEN expires_at <= ? THEN excluded.expires_at ELSE expires_at END ' +
+      'RETURNING value'
+    ).get(key, expiresAt, now, now);
+    return row.value;
+  }
+
+  /**
+   * Check that the database opens and the tasks table can be read
+   * @returns {Promise<void>}
+   */
+  async checkHealth() {
+    const db = await this.open();
+    db.prepare('SELECT 1 FROM a2a_tasks LIMIT 1').all();
+  }
+}
+
+/**
+ * MySqlTaskStore persists tasks in the healthylinkx database, shared by all Lambda containers
+ */
+export class MySqlTaskStore {
+  /**
+   * Create a MySQL-backed store
+   * @param {function(string, Array): Promise<Array>} queryDatastore - Runs a statement on the pooled datastore
+   */
+  constructor(queryDatastore = QueryDatastore) {
+    this.queryDatastore = queryDatastore;
+    this.tableReady = false;
+  }
+
+  /**
+   * Run a statement on the datastore, creating the tables on first use
+   * @param {string} sql - SQL statement with placeholders
+   * @param {Array} values - Placeholder values
+   * @returns {Promise<Array>} Result rows
+   */
+  async query(sql, values) {
+    if (!this.tableReady) {
+      await this.queryDatastore(`CREATE TABLE IF NOT EXISTS a2a_tasks (
+        id VARCHAR(128) NOT NULL PRIMARY KEY,
+        context_id VARCHAR(128) NOT NULL,
+        task MEDIUMTEXT NOT NULL,
+        updated_at BIGINT NOT NULL,
+        INDEX idx_a2a_tasks_context (context_id)
+      )`);
+      await this.queryDatastore(`CREATE TABLE IF NOT EXISTS a2a_push_configs (
+        task_id VARCHAR(128) NOT NULL PRIMARY KEY,
+        config TEXT NOT NULL
+      )`);
+      await this.queryDatastore(`CREATE TABLE IF NOT EXISTS a2a_rate_limits (
+        limit_key VARCHAR(255) NOT NULL PRIMARY KEY,
+        tat BIGINT NOT NULL
+      )`);
+      await this.queryDatastore(`CREATE TABLE IF NOT EXISTS a2a_counters (
+        counter_key VARCHAR(255) NOT NULL PRIMARY KEY,
+        value BIGINT NOT NULL,
+        expires_at BIGINT NOT NULL
+      )`);
+      this.tableReady = true;
+    }
+    return await this.queryDatastore(sql, values);
+  }
+
+  /**
+   * Load a task by ID
+   * @param {string} taskId - Task ID
+   * @returns {Promise<object|undefined>} The stored task, if any
+   */
+  async load(taskId) {
+    const rows = await this.query('SELECT task FROM a2a_tasks WHERE id = ?', [taskId]);
+    return rows.length > 0 ? JSON.parse(rows[0].task) : undefined;
+  }
+
+  /**
+   * Save (insert or replace) a task
+   * @param {object} task - Task object with id and contextId
+   * @returns {Promise<void>}
+   */
+  async save(task) {
+    await this.query(
+      'INSERT INTO a2a_tasks (id, context_id, task, updated_at) VALUES (?, ?, ?, ?) ' +
+      'ON DUPLICATE KEY UPDATE context_id = VALUES(context_id), task = VALUES(task), updated_at = VALUES(updated_at)',
+      [task.id, task.contextId, JSON.stringify(task), Date.now()]
+    );
+  }
+
+  /**
+   * Find the tasks of a context
+   * @param {string} contextId - Context ID
+   * @returns {Promise<object[]>} Tasks, most recently updated first
+   */
+  async findByContextId(contextId) {
+    const rows = await this.query('SELECT task FROM a2a_tasks WHERE context_id = ? ORDER BY updated_at DESC', [contextId]);
+    return rows.map(row => JSON.parse(row.task));
+  }
+
+  /**
+   * Load the push notification config registered for a task
+   * @param {string} taskId - Task ID
+   * @returns {Promise<object|undefined>} PushNotificationConfig, if any
+   */
+  async loadPushConfig(taskId) {
+    const rows = await this.query('SELECT config FROM a2a_push_configs WHERE task_id = ?', [taskId]);
+    return rows.length > 0 ? JSON.parse(rows[0].config) : undefined;
+  }
+
+  /**
+   * Save (insert or replace) the push notification config of a task
+   * @param {string} taskId - Task ID
+   * @param {object} pushConfig - PushNotificationConfig with url and optional token
+   * @returns {Promise<void>}
+   */
+  async savePushConfig(taskId, pushConfig) {
+    await this.query(
+      'INSERT INTO a2a_push_configs (task_id, config) VALUES (?, ?) ON DUPLICATE KEY UPDATE config = VALUES(config)',
+      [taskId, JSON.stringify(pushConfig)]
+    );
+  }
+
+  /**
+   * Take a token from a rate limit bucket
+   * The check and the update are a single conditional UPDATE, so concurrent containers can't both
+   * take the last token; a missing bucket is created full
+   * @param {string} key - Bucket key
+   * @param {{capacity: number, intervalMs: number}} bucket - Bucket size and time to refill one token
+   * @returns {Promise<{allowed: boolean, retryAfterMs: number}>} Whether the request is allowed
+   */
+  async takeRateToken(key, bucket) {
+    const { capacity, intervalMs } = bucket;
+    const now = Date.now();
+
+    const updated = await this.query(
+      'UPDATE a2a_rate_limits SET tat = GREATEST(tat, ?) + ? WHERE limit_key = ? AND GREATEST(tat, ?) + ? - ? <= ?',
+      [now, intervalMs, key, now, intervalMs, now, capacity * intervalMs]
+    );
+    if (updated.affectedRows > 0) {
+      return { allowed: true, retryAfterMs: 0 };
+    }
+
+    const rows = await this.query('SELECT tat FROM a2a_rate_limits WHERE limit_key = ?', [key]);
+    if (rows.length > 0) {
+      return { allowed: false, retryAfterMs: takeToken(Number(rows[0].tat), bucket, now).retryAfterMs };
+    }
+
+    const inserted = await this.query('INSERT IGNORE INTO a2a_rate_limits (limit_key, tat) VALUES (?, ?)', [key, now + intervalMs]);
+    // Another container created the bucket in between: take from it like everyone else
+    return inserted.affectedRows > 0 ? { allowed: true, retryAfterMs: 0 } : this.takeRateToken(key, bucket);
+  }
+
+  /**
+   * Increment a counter, restarting it from zero once it expires
+   * @param {string} key - Counter key
+   * @param {number} expiresAt - Expiry of a newly started counter, ms since epoch
+   * @returns {Promise<number>} Value after the increment
+   */
+  async incrementCounter(key, expiresAt) {
+    const now = Date.now();
+    // MySQL applies the assignments in order, so value must be set while expires_at still holds the old expiry
+    await this.query(
+      'INSERT INTO a2a_counters (counter_key, value, expires_at) VALUES (?, 1, ?) ON DUPLICATE KEY UPDATE ' +
+      'value = IF(expires_at <= ?, 1, value + 1), expires_at = IF(expires_at <= ?, VALUES(expires_at), expires_at)',
+      [key, expiresAt, now, now]
+    );
+    const rows = await this.query('SELECT value FROM a2a_counters WHERE counter_key = ?', [key]);
+    return Number(rows[0].value);
+  }
+
+  /**
+   * Check that the datastore answers and the tasks table can be read
+   * @returns {Promise<void>}
+   */
+  async checkHealth() {
+    await this.query('SELECT 1 FROM a2a_tasks LIMIT 1', []);
+  }
+}
+
+/**
+ * Create the task store selected in config
+ * @param {object} [storeConfig] - config.a2a.taskStore, e.g. { "type": "sqlite", "filename": "/tmp/a2a-tasks.db" }
+ * @returns {TaskStore} The task store backend
+ * @throws {Error} If the backend type is unknown, or sqlite without node:sqlite
+ */
+export function createTaskStore(storeConfig = {}) {
+  const type = storeConfig.type || 'memory';
+
+  switch (type) {
+    case 'memory':
+      return new InMemoryTaskStore();
+
+    case 'sqlite':
+      // Fail at startup rather than on the first request
+      if (!isBuiltin('node:sqlite')) {
+        throw new Error(`The sqlite task store needs node:sqlite (Node 22.13+), this is Node ${process.versions.node}`);
+      }
+      return new SqliteTaskStore(storeConfig.filename || '/tmp/a2a-tasks.db');
+
+    case 'mysql':
+      return new MySqlTaskStore();
+
+    default:
+      throw new Error(`Unknown task store type: ${type}. Supported types: memory, sqlite, mysql`);
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Shared helpers for the LambdaA2AAdapter tests
+ * @module adapterHelpers
+ */
+
+import { LambdaA2AAdapter } from '../src/lambdaAdapter.js';
+import { InMemoryTaskStore } from '../src/taskStore.js';
+import { PushNotificationSender } from '../src/pushNotifications.js';
+import { RequestAuthenticator } from '../src/auth.js';
+import { RateLimiter } from '../src/rateLimiter.js';
+
+const AGENT_CARD = { name: 'Test Agent', url: 'https://agent.example.com/' };
+
+/**
+ * Executor that publishes a working status and one artifact, then ends in a fixed state
+ * Every request context it receives is kept in contexts, for the tests to inspect
+ */
+export class ScriptedExecutor {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.state='completed'] - State the task ends in
+   * @param {number} [options.delayMs=0] - Wait between the working status and the result
+   */
+  constructor({ state = 'completed', delayMs = 0 } = {}) {
+    this.state = state;
+    this.delayMs = delayMs;
+    this.contexts = [];
+  }
+
+  async execute(requestContext, eventBus) {
+    const { task } = requestContext;
+    this.contexts.push(requestContext);
+
+    eventBus.publish({
+      kind: 'status-update',
+      taskId: task.id,
+      contextId: task.contextId,
+      status: { state: 'working', timestamp: new Date().toISOString() },
+      final: false
+    });
+    if (this.delayMs) {
+      await new Promise(resolve => setTimeout(resolve, this.delayMs));
+    }
+
+    const artifact = { artifactId: `artifact-${this.contexts.length}`, parts: [{ kind: 'text', text: 'Results' }] };
+    eventBus.publish({ kind: 'artifact-update', taskId: task.id, contextId: task.contextId, artifact, lastChunk: true });
+
+    const reply = { kind: 'message', messageId: `reply-${this.contexts.length}`, role: 'agent', parts: [{ kind: 'text', text: 'Done' }] };
+    return {
+      ...task,
+      status: { state: this.state, timestamp: new Date().toISOString() },
+      artifacts: [...(task.artifacts || []), artifact],
+      history: [...task.history, reply]
+    };
+  }
+}
+
+/**
+ * Create an adapter with in-memory collaborators, any of which can be replaced
+ * @param {object} [options]
+ * @param {object} [options.executor] - Executor, a ScriptedExecutor by default
+ * @param {object} [options.taskStore] - Task store, in-memory by default
+ * @param {object} [options.pushSender] - Push notification sender
+ * @param {object} [options.authenticator] - Request authenticator, accepting every request by default
+ * @param {boolean} [options.responseStreaming=true] - Whether the handler streams its replies
+ * @returns {LambdaA2AAdapter} The adapter
+ */
+export function createAdapter({
+  executor = new ScriptedExecutor(),
+  taskStore = new InMemoryTaskStore(),
+  pushSender = new PushNotificationSender(),
+  authenticator = new RequestAuthenticator(),
+  responseStreaming = true
+} = {}) {
+  return new LambdaA2AAdapter(AGENT_CARD, executor, taskStore, pushSender, authenticator,
+    new RateLimiter(null, taskStore), { responseStreaming });
+}
+
+/**
+ * Build a user message
+ * @param {string} text - Message text
+ * @param {object} [fields] - Extra message fields, e.g. taskId or contextId
+ * @returns {object} A2A Message object
+ */
+export function userMessage(text, fields = {}) {
+  return {
+    kind: 'message',
+    messageId: `msg-${Math.random().toString(36).slice(2)}`,
+    role: 'user',
+    parts: [{ kind: 'text', text }],
+    ...fields
+  };
+}
+
+/**
+ * Send a JSON-RPC body to the adapter as a Lambda function URL event
+ * @param {LambdaA2AAdapter} adapter - Adapter under test
+ * @param {object|Array|string} body - JSON-RPC request or batch, or a raw body string
+ * @param {object} [headers] - Request headers
+ * @returns {Promise<{response: object, payload: *}>} Lambda response and its parsed body, if any
+ */
+export async function call(adapter, body, headers = {}) {
+  const response = await adapter.handleJsonRpc({
+    headers,
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+    requestContext: { http: { sourceIp: '203.0.113.10' } }
+  });
+  return { response, payload: response.body ? JSON.parse(response.body) : undefined };
+}
+
+/**
+ * Read every event of a streaming response
+ * @param {object} response - Lambda response with an events iterable
+ * @returns {Promise<object[]>} Results of the JSON-RPC responses streamed, in order
+ */
+export async function readEvents(response) {
+  const events = [];
+  for await (const payload of response.events) {
+    events.push(payload.result);
+  }
+  return events;
+}
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { ApiKeyAuthenticator, JwtAuthenticator, RequestAuthenticator } from '../src/auth.js';
+import { setLogLevel } from '../src/logger.js';
+
+setLogLevel('error');
+
+const SECRET = 'test-secret';
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function signHs256(claims, secret = SECRET) {
+  const signingInput = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  return `${signingInput}.${crypto.createHmac('sha256', secret).update(signingInput).digest('base64url')}`;
+}
+
+function inSeconds(seconds) {
+  return Math.floor(Date.now() / 1000) + seconds;
+}
+
+function bearer(token) {
+  return { authorization: `Bearer ${token}` };
+}
+
+test('accepts configured API keys and names the client', () => {
+  const authenticator = new ApiKeyAuthenticator({ keys: [{ name: 'partner', key: 'k1' }] });
+  assert.deepEqual(authenticator.authenticate({ 'x-api-key': 'k1' }), { principal: 'apikey:partner' });
+  assert.deepEqual(authenticator.authenticate({ 'x-api-key': 'k2' }), { error: 'Invalid API key' });
+  assert.equal(authenticator.authenticate({}), null);
+});
+
+test('accepts a valid HS256 token', () => {
+  const authenticator = new JwtAuthenticator({ secret: SECRET });
+  const result = authenticator.authenticate(bearer(signHs256({ sub: 'agent-1', exp: inSeconds(60) })));
+  assert.equal(result.principal, 'jwt:agent-1');
+});
+
+test('rejects bad signatures and expired tokens', () => {
+  const authenticator = new JwtAuthenticator({ secret: SECRET, clockToleranceSeconds: 0 });
+  assert.match(authenticator.authenticate(bearer(signHs256({ sub: 'a', exp: inSeconds(60) }, 'other'))).error, /signature/);
+  assert.match(authenticator.authenticate(bearer(signHs256({ sub: 'a', exp: inSeconds(-10) }))).error, /expired/);
+  assert.match(authenticator.authenticate(bearer(signHs256({ sub: 'a', exp: inSeconds(60), nbf: inSeconds(60) }))).error, /not yet valid/);
+});
+
+test('requires exp unless requireExp is false', () => {
+  const token = signHs256({ sub: 'a' });
+  assert.match(new JwtAuthenticator({ secret: SECRET }).authenticate(bearer(token)).error, /no exp/);
+  assert.equal(new JwtAuthenticator({ secret: SECRET, requireExp: false }).authenticate(bearer(token)).principal, 'jwt:a');
+  assert.match(new JwtAuthenticator({ secret: SECRET }).authenticate(bearer(signHs256({ sub: 'a', exp: '9999999999' }))).error, /not a number/);
+});
+
+test('checks the issuer and audience when configured', () => {
+  const authenticator = new JwtAuthenticator({ secret: SECRET, issuer: 'https://issuer.example', audience: 'healthylinkx' });
+  const claims = { sub: 'a', exp: inSeconds(60), iss: 'https://issuer.example', aud: ['other', 'healthylinkx'] };
+  assert.equal(authenticator.authenticate(bearer(signHs256(claims))).principal, 'jwt:a');
+  assert.match(authenticator.authenticate(bearer(signHs256({ ...claims, iss: 'https://evil.example' }))).error, /issuer/);
+  assert.match(authenticator.authenticate(bearer(signHs256({ ...claims, aud: 'other' }))).error, /audience/);
+});
+
+test('rejects the none algorithm', () => {
+  const token = `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ sub: 'a', exp: inSeconds(60) })}.`;
+  assert.ok(new JwtAuthenticator({ secret: SECRET }).authenticate(bearer(token)).error);
+});
+
+test('accepts every request when no scheme is configured', () => {
+  assert.deepEqual(new RequestAuthenticator().authenticate({ headers: {} }), { principal: 'anonymous' });
+});
+
+test('accepts any configured scheme and lists the challenges otherwise', () => {
+  const authenticator = new RequestAuthenticator({ apiKey: { keys: [{ name: 'partner', key: 'k1' }] }, jwt: { secret: SECRET } });
+  assert.equal(authenticator.authenticate({ headers: { 'X-API-Key': 'k1' } }).principal, 'apikey:partner');
+  assert.equal(authenticator.authenticate({ headers: { Authorization: `Bearer ${signHs256({ sub: 'b', exp: inSeconds(60) })}` } }).principal, 'jwt:b');
+
+  const refused = authenticator.authenticate({ headers: {} });
+  assert.equal(refused.error, 'Authentication required');
+  assert.equal(refused.challenges.length, 2);
+});
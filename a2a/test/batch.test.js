@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setLogLevel } from '../src/logger.js';
+import { createAdapter, call, userMessage, ScriptedExecutor } from './adapterHelpers.js';
+
+setLogLevel('error');
+
+test('answers each request of a batch, in order, and skips notifications', async () => {
+  const executor = new ScriptedExecutor();
+  const adapter = createAdapter({ executor });
+  const { response, payload } = await call(adapter, [
+    { jsonrpc: '2.0', id: 'a', method: 'message/send', params: { message: userMessage('family medicine in 98052') } },
+    { jsonrpc: '2.0', method: 'message/send', params: { message: userMessage('family medicine in 98004') } },
+    { jsonrpc: '2.0', id: 'b', method: 'tasks/get', params: { id: 'task-unknown' } }
+  ]);
+
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(payload.map(reply => reply.id), ['a', 'b']);
+  assert.equal(payload[0].result.status.state, 'completed');
+  assert.equal(payload[1].error.code, -32001);
+  // The notification was still executed
+  assert.equal(executor.contexts.length, 2);
+});
+
+test('replies 204 with no body to a batch of notifications', async () => {
+  const { response } = await call(createAdapter(), [
+    { jsonrpc: '2.0', method: 'message/send', params: { message: userMessage('family medicine in 98052') } },
+    { jsonrpc: '2.0', method: 'tasks/get', params: { id: 'task-unknown' } }
+  ]);
+
+  assert.equal(response.statusCode, 204);
+  assert.equal(response.body, '');
+});
+
+test('answers invalid members with an error, with a null id when theirs can\'t be read', async () => {
+  const { payload } = await call(createAdapter(), [
+    1,
+    { jsonrpc: '1.0', id: 'old', method: 'tasks/get', params: { id: 'x' } },
+    { jsonrpc: '2.0', id: 'unknown', method: 'tasks/list' },
+    { jsonrpc: '2.0', id: 'stream', method: 'message/stream', params: { message: userMessage('hello') } }
+  ]);
+
+  assert.deepEqual(payload.map(reply => [reply.id, reply.error.code]), [
+    [null, -32600],
+    ['old', -32600],
+    ['unknown', -32601],
+    ['stream', -32004]
+  ]);
+});
+
+test('refuses empty and oversized batches', async () => {
+  const adapter = createAdapter();
+  const { payload: empty } = await call(adapter, []);
+  assert.equal(empty.error.code, -32600);
+
+  const calls = Array.from({ length: 21 }, (_, i) => ({ jsonrpc: '2.0', id: i, method: 'tasks/get', params: { id: 'x' } }));
+  const { payload: oversized } = await call(adapter, calls);
+  assert.equal(oversized.error.code, -32600);
+  assert.match(oversized.error.message, /limited to 20/);
+});
+
+test('answers malformed JSON with a parse error', async () => {
+  const { payload } = await call(createAdapter(), '[{"jsonrpc": "2.0",');
+  assert.deepEqual([payload.id, payload.error.code], [null, -32700]);
+});
@@ -0,0 +1,136 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadConfig, usesMysql, checkDatastoreCredentials, resolveDatastoreCredentials, resolveAuthSecrets,
+  CONFIG_ENV_VARS, SECRET_ENV_VARS } from '../src/config.js';
+
+const BASE_CONFIG = {
+  a2a: {
+    functionName: 'healthylinkx-a2a',
+    roleName: 'healthylinkx-a2a-role',
+    agentName: 'HealthyLinkx Doctor Search Agent',
+    agentVersion: '1.0.0'
+  },
+  datastore: { type: 'mysql', user: 'root' }
+};
+
+let directory;
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'healthylinkx-config-'));
+});
+
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+function writeConfig(config) {
+  const file = path.join(directory, `config-${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+test('loads a valid configuration with the password from the environment', () => {
+  const config = loadConfig(writeConfig(BASE_CONFIG), { HEALTHYLINKX_DB_PASSWORD: 'secret' });
+  assert.equal(config.datastore.user, 'root');
+  assert.equal(config.datastore.passwd, 'secret');
+});
+
+test('rejects a password written in the file', () => {
+  const file = writeConfig({ ...BASE_CONFIG, datastore: { ...BASE_CONFIG.datastore, passwd: 'secret' } });
+  assert.throws(() => loadConfig(file, { HEALTHYLINKX_DB_PASSWORD: 'secret' }), /datastore\.passwd: must not be set in config\.json/);
+});
+
+test('loads a mysql configuration without credentials, for the scripts that never connect', () => {
+  const config = loadConfig(writeConfig(BASE_CONFIG), {});
+  assert.equal(config.datastore.passwd, undefined);
+  assert.equal(usesMysql(config), true);
+});
+
+test('rejects API keys and a JWT secret written in the file', () => {
+  const file = writeConfig({
+    ...BASE_CONFIG,
+    a2a: { ...BASE_CONFIG.a2a, auth: { apiKey: { keys: [{ name: 'inspector', key: 'k1' }] }, jwt: { secret: 's' } } }
+  });
+  assert.throws(() => loadConfig(file, {}), /a2a\.auth\.apiKey\.keys: must not be set in config\.json.*\n.*a2a\.auth\.jwt\.secret: must not be set/);
+});
+
+test('reads API keys and the JWT secret from the environment', () => {
+  const file = writeConfig({ ...BASE_CONFIG, a2a: { ...BASE_CONFIG.a2a, auth: { apiKey: { header: 'X-Key' }, jwt: null } } });
+  const { auth } = loadConfig(file, { A2A_API_KEYS: 'inspector=k1, partner=k2=', A2A_JWT_SECRET: 's3cret' }).a2a;
+  assert.deepEqual(auth.apiKey, { header: 'X-Key', keys: [{ name: 'inspector', key: 'k1' }, { name: 'partner', key: 'k2=' }] });
+  assert.deepEqual(auth.jwt, { secret: 's3cret' });
+
+  assert.throws(() => loadConfig(file, { A2A_API_KEYS: 'k1' }), /a2a\.auth\.apiKey\.keys: .* \(from A2A_API_KEYS\)/);
+});
+
+test('requires API keys and a JWT secret, or an auth secret to read them from', async () => {
+  const file = writeConfig({ ...BASE_CONFIG, a2a: { ...BASE_CONFIG.a2a, auth: { apiKey: {}, jwt: { issuer: 'https://issuer.example' } } } });
+  assert.throws(() => loadConfig(file, {}), /a2a\.auth\.apiKey: needs keys.*\n.*a2a\.auth\.jwt: needs a secret/);
+
+  const config = loadConfig(file, { A2A_AUTH_SECRET_ID: 'healthylinkx/a2a-auth' });
+  assert.equal(config.a2a.auth.secretId, 'healthylinkx/a2a-auth');
+  assert.equal(await resolveAuthSecrets(undefined), undefined);
+  assert.deepEqual(await resolveAuthSecrets({ apiKey: null, jwt: null }), { apiKey: null, jwt: null });
+});
+
+test('requires a password or a secret where mysql is used', async () => {
+  const file = writeConfig(BASE_CONFIG);
+  assert.throws(() => checkDatastoreCredentials(loadConfig(file, {}).datastore), /mysql needs secretId/);
+  await assert.rejects(resolveDatastoreCredentials(loadConfig(file, {}).datastore), /mysql needs secretId/);
+  checkDatastoreCredentials(loadConfig(file, { HEALTHYLINKX_DB_SECRET_ID: 'healthylinkx/db' }).datastore);
+  assert.deepEqual(await resolveDatastoreCredentials(loadConfig(file, { HEALTHYLINKX_DB_PASSWORD: 'secret' }).datastore),
+    { user: 'root', password: 'secret' });
+});
+
+test('uses mysql as datastore, task store or search cache', () => {
+  const file = writeConfig(BASE_CONFIG);
+  assert.equal(usesMysql(loadConfig(file, { HEALTHYLINKX_DATASTORE_TYPE: 'memory' })), false);
+  assert.equal(usesMysql(loadConfig(file, { HEALTHYLINKX_DATASTORE_TYPE: 'memory', A2A_TASK_STORE_TYPE: 'mysql' })), true);
+  assert.equal(usesMysql(loadConfig(file, { HEALTHYLINKX_DATASTORE_TYPE: 'sqlite', HEALTHYLINKX_CACHE_TYPE: 'mysql' })), true);
+});
+
+test('parses boolean and numeric overrides', () => {
+  const config = loadConfig(writeConfig(BASE_CONFIG), {
+    HEALTHYLINKX_DATASTORE_TYPE: 'memory',
+    A2A_DEBUG: 'true',
+    A2A_METRICS_EMF: '0',
+    A2A_HEALTH_TIMEOUT_MS: '1500'
+  });
+  assert.equal(config.a2a.debug, true);
+  assert.equal(config.a2a.metrics.emf, false);
+  assert.equal(config.a2a.health.timeoutMs, 1500);
+});
+
+test('names the environment variable of an invalid override', () => {
+  const file = writeConfig(BASE_CONFIG);
+  assert.throws(
+    () => loadConfig(file, { HEALTHYLINKX_DATASTORE_TYPE: 'memory', A2A_HEALTH_TIMEOUT_MS: 'soon' }),
+    /a2a\.health\.timeoutMs: .* \(from A2A_HEALTH_TIMEOUT_MS\)/
+  );
+});
+
+test('lists every problem, including unknown settings', () => {
+  const file = writeConfig({ a2a: { ...BASE_CONFIG.a2a, invokeMode: 'FAST', colour: 'blue' }, datastore: { type: 'memory' } });
+  assert.throws(() => loadConfig(file, {}), /a2a\.invokeMode: .*\n.*colour/);
+});
+
+test('reports unreadable files', () => {
+  assert.throws(() => loadConfig(path.join(directory, 'missing.json'), {}), /Cannot read configuration/);
+});
+
+test('ships config.json copies that agree and validate', () => {
+  const rootConfig = fileURLToPath(new URL('../../config.json', import.meta.url));
+  const lambdaConfig = fileURLToPath(new URL('../src/config.json', import.meta.url));
+  assert.equal(fs.readFileSync(lambdaConfig, 'utf8'), fs.readFileSync(rootConfig, 'utf8'));
+  assert.equal(loadConfig(rootConfig, {}).a2a.debug, false);
+});
+
+test('exports the names of the overriding variables', () => {
+  assert.ok(CONFIG_ENV_VARS.includes('HEALTHYLINKX_DB_PASSWORD'));
+  assert.ok(CONFIG_ENV_VARS.includes('A2A_INVOKE_MODE'));
+  assert.deepEqual(SECRET_ENV_VARS, ['HEALTHYLINKX_DB_PASSWORD', 'A2A_API_KEYS', 'A2A_JWT_SECRET']);
+});
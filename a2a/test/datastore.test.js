@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryDatastore, SqliteDatastore, createDatastore } from '../src/datastore.js';
+import { setLogLevel } from '../src/logger.js';
+
+setLogLevel('error');
+
+const hasSqlite = await import('node:sqlite').then(() => true, () => false);
+
+test('createDatastore refuses sqlite without node:sqlite', () => {
+  const create = () => createDatastore({ type: 'sqlite' });
+  if (hasSqlite) {
+    assert.ok(create() instanceof SqliteDatastore);
+  } else {
+    assert.throws(create, /needs node:sqlite/);
+  }
+});
+
+test('sqlite radius search finds the same doctors as memory, nearest first', { skip: !hasSqlite && 'needs node:sqlite (Node 22.13+)' }, async () => {
+  const sqlite = new SqliteDatastore();
+  const memory = new MemoryDatastore();
+  const center = await sqlite.getZipCentroid('98052');
+  const near = { ...center, radius: 15 };
+
+  const rows = await sqlite.findDoctors({}, { limit: 100 }, near);
+  assert.ok(rows.length > 0);
+  const distances = rows.map(row => row.Distance);
+  assert.deepEqual(distances, [...distances].sort((a, b) => a - b));
+  assert.ok(distances.every(distance => distance <= 15));
+
+  const expected = await memory.findDoctors({}, { limit: 100 }, near);
+  assert.deepEqual(rows.map(row => row.NPI).sort(), expected.map(row => row.NPI).sort());
+  assert.equal(await sqlite.countDoctors({}, near), rows.length);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DoctorSearchExecutor } from '../src/DoctorSearchExecutor.js';
+import { setLogLevel } from '../src/logger.js';
+import { createAdapter, call, userMessage, ScriptedExecutor } from './adapterHelpers.js';
+
+setLogLevel('error');
+
+async function send(adapter, message, id = 1) {
+  const { payload } = await call(adapter, { jsonrpc: '2.0', id, method: 'message/send', params: { message } });
+  return payload;
+}
+
+test('asks for missing details, then completes the same task in its context', async () => {
+  const adapter = createAdapter({ executor: new DoctorSearchExecutor() });
+
+  const { result: asked } = await send(adapter, userMessage('find me a doctor'));
+  assert.equal(asked.status.state, 'input-required');
+  assert.equal(asked.history.length, 2);
+  assert.equal(asked.history[1].role, 'agent');
+
+  const { result: answered } = await send(adapter, userMessage('a family doctor in 98052', { contextId: asked.contextId }), 2);
+  assert.equal(answered.id, asked.id);
+  assert.equal(answered.status.state, 'completed');
+  assert.deepEqual(answered.history.map(message => message.role), ['user', 'agent', 'user', 'agent']);
+  assert.ok(answered.artifacts.length > 0);
+});
+
+test('continues a task waiting for input by its taskId', async () => {
+  const adapter = createAdapter({ executor: new DoctorSearchExecutor() });
+  const { result: asked } = await send(adapter, userMessage('find me a doctor'));
+
+  const { result: answered } = await send(adapter, userMessage('family medicine in 98052', { taskId: asked.id }), 2);
+  assert.equal(answered.id, asked.id);
+  assert.equal(answered.contextId, asked.contextId);
+  assert.equal(answered.status.state, 'completed');
+});
+
+test('refuses to continue an unknown or finished task', async () => {
+  const adapter = createAdapter();
+  const { result: done } = await send(adapter, userMessage('family medicine in 98052'));
+
+  const { error: finished } = await send(adapter, userMessage('and in 98004?', { taskId: done.id }), 2);
+  assert.equal(finished.code, -32004);
+
+  const { error: unknown } = await send(adapter, userMessage('hello', { taskId: 'task-unknown' }), 3);
+  assert.equal(unknown.code, -32001);
+});
+
+test('starts a new task in a context whose latest task is finished, passing it along', async () => {
+  const executor = new ScriptedExecutor();
+  const adapter = createAdapter({ executor });
+  const { result: first } = await send(adapter, userMessage('family medicine in 98052'));
+
+  const { result: second } = await send(adapter, userMessage('show more', { contextId: first.contextId }), 2);
+  assert.notEqual(second.id, first.id);
+  assert.equal(second.contextId, first.contextId);
+  assert.equal(executor.contexts[1].previousTask.id, first.id);
+});
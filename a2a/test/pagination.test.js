@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isShowMoreRequest, createNextPageToken, decodePageToken } from '../src/pagination.js';
+
+const SEARCH = { zipcode: '98052', specialty: 'Pediatrics' };
+
+test('recognizes requests for the next page', () => {
+  for (const message of ['show more', 'Next page', 'more results please', 'give me more!']) {
+    assert.equal(isShowMoreRequest(message), true, message);
+  }
+  for (const message of ['more cardiologists in 98052', 'show me doctors in Seattle']) {
+    assert.equal(isShowMoreRequest(message), false, message);
+  }
+});
+
+test('round-trips the search and the next position', () => {
+  const token = createNextPageToken(SEARCH, { limit: 25, offset: 0, total: 60 });
+  assert.deepEqual(decodePageToken(token), { params: SEARCH, page: { limit: 25, offset: 25 } });
+});
+
+test('has no token on the last page', () => {
+  assert.equal(createNextPageToken(SEARCH, { limit: 25, offset: 50, total: 60 }), undefined);
+  assert.equal(createNextPageToken(SEARCH, { limit: 25, offset: 0, total: 25 }), undefined);
+});
+
+test('rejects malformed and tampered tokens', () => {
+  assert.equal(decodePageToken('not a token'), null);
+  const tampered = Buffer.from(JSON.stringify({ params: { zipcode: 'DROP TABLE' }, offset: 25, limit: 25 })).toString('base64url');
+  assert.equal(decodePageToken(tampered), null);
+});
+
+test('clamps the page of a token', () => {
+  const token = Buffer.from(JSON.stringify({ params: SEARCH, offset: -5, limit: 1000 })).toString('base64url');
+  assert.deepEqual(decodePageToken(token).page, { limit: 100, offset: 0 });
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateParams } from '../src/paramsSchema.js';
+
+const MESSAGE = {
+  kind: 'message',
+  messageId: 'msg-1',
+  role: 'user',
+  parts: [{ kind: 'text', text: 'cardiologists in 98052' }]
+};
+
+function fields(result) {
+  return result.errors.map(error => error.field);
+}
+
+test('accepts a message/send with a Message', () => {
+  const { params, errors } = validateParams('message/send', { message: MESSAGE, configuration: { blocking: false } });
+  assert.equal(errors, undefined);
+  assert.deepEqual(params.message, MESSAGE);
+});
+
+test('turns a string message into a one-part user message', () => {
+  const { params } = validateParams('message/stream', { message: 'cardiologists in 98052' });
+  assert.equal(params.message.role, 'user');
+  assert.ok(params.message.messageId);
+  assert.deepEqual(params.message.parts, [{ kind: 'text', text: 'cardiologists in 98052' }]);
+});
+
+test('rejects messages without a sender, an id or parts', () => {
+  assert.deepEqual(fields(validateParams('message/send', { message: { ...MESSAGE, role: 'agent' } })), ['message.role']);
+  assert.deepEqual(fields(validateParams('message/send', { message: { ...MESSAGE, messageId: undefined } })), ['message.messageId']);
+  assert.deepEqual(fields(validateParams('message/send', { message: { ...MESSAGE, parts: [] } })), ['message.parts']);
+  assert.deepEqual(fields(validateParams('message/send', { message: '  ' })), ['message']);
+});
+
+test('checks the parts', () => {
+  const parts = [{ kind: 'data', data: [1, 2] }, { kind: 'file', file: { name: 'a.txt' } }, { kind: 'image' }];
+  assert.deepEqual(fields(validateParams('message/send', { message: { ...MESSAGE, parts } })), [
+    'message.parts.0.data',
+    'message.parts.1.file',
+    'message.parts.2.kind'
+  ]);
+});
+
+test('keeps unknown A2A fields', () => {
+  const { params } = validateParams('message/send', { message: { ...MESSAGE, extensions: ['x'], futureField: 1 }, metadata: { a: 1 } });
+  assert.equal(params.message.futureField, 1);
+  assert.deepEqual(params.metadata, { a: 1 });
+});
+
+test('requires the task id of task methods', () => {
+  assert.deepEqual(fields(validateParams('tasks/get', {})), ['id']);
+  assert.deepEqual(fields(validateParams('tasks/get', { id: 'task-1', historyLength: -1 })), ['historyLength']);
+  assert.deepEqual(fields(validateParams('tasks/pushNotificationConfig/set', { taskId: 'task-1' })), ['pushNotificationConfig']);
+  assert.deepEqual(fields(validateParams('tasks/cancel', undefined)), ['params']);
+});
+
+test('accepts missing params where they are optional and passes unknown methods through', () => {
+  assert.deepEqual(validateParams('agent/getAuthenticatedExtendedCard', undefined), { params: undefined });
+  assert.deepEqual(validateParams('tasks/unknown', [1]), { params: [1] });
+});
@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PushNotificationSender, validatePushConfig, isInternalAddress } from '../src/pushNotifications.js';
+import { setLogLevel } from '../src/logger.js';
+import { createAdapter, call, userMessage } from './adapterHelpers.js';
+
+setLogLevel('error');
+
+const WEBHOOK = { url: 'https://client.example.com/hook', token: 'secret-token' };
+const TASK = { kind: 'task', id: 'task-1', contextId: 'ctx-1', status: { state: 'completed' } };
+
+/**
+ * Create a sender that skips the DNS check and answers with the given statuses
+ */
+function createSender(t, statuses, options = { initialDelayMs: 1 }) {
+  const sender = new PushNotificationSender(options);
+  sender.checkDestination = async () => {};
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', async (url, request) => {
+    requests.push({ url, ...request, body: JSON.parse(request.body) });
+    const status = statuses.shift() ?? 200;
+    if (status === 'network') {
+      throw new TypeError('fetch failed');
+    }
+    return new Response(null, { status });
+  });
+  return { sender, requests };
+}
+
+test('accepts public https webhooks only', () => {
+  assert.equal(validatePushConfig(WEBHOOK), null);
+  assert.match(validatePushConfig({ url: 'http://client.example.com/hook' }), /https/);
+  assert.match(validatePushConfig({ url: 'https://169.254.169.254/latest' }), /must not point/);
+  assert.match(validatePushConfig({ url: 'https://localhost/hook' }), /must not point/);
+  assert.match(validatePushConfig({ ...WEBHOOK, token: 42 }), /token must be a string/);
+});
+
+test('recognizes internal addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1', '::ffff:10.0.0.1']) {
+    assert.equal(isInternalAddress(address), true, address);
+  }
+  assert.equal(isInternalAddress('93.184.216.34'), false);
+});
+
+test('refuses webhooks that resolve to internal addresses', async () => {
+  const sender = new PushNotificationSender();
+  await assert.rejects(sender.checkDestination('https://10.0.0.1/hook'), /internal address 10\.0\.0\.1/);
+  await assert.rejects(sender.checkDestination('https://[::1]/hook'), /internal address ::1/);
+});
+
+test('delivers the task with its token and no redirects', async (t) => {
+  const { sender, requests } = createSender(t, [200]);
+  assert.equal(await sender.send(WEBHOOK, TASK), true);
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].headers['X-A2A-Notification-Token'], 'secret-token');
+  assert.equal(requests[0].redirect, 'error');
+  assert.deepEqual(requests[0].body, TASK);
+});
+
+test('retries network errors, 429 and 5xx responses', async (t) => {
+  const { sender, requests } = createSender(t, ['network', 503, 200], { initialDelayMs: 1, maxAttempts: 3 });
+  assert.equal(await sender.send(WEBHOOK, TASK), true);
+  assert.equal(requests.length, 3);
+});
+
+test('gives up after maxAttempts', async (t) => {
+  const { sender, requests } = createSender(t, [500, 500, 500, 500], { initialDelayMs: 1, maxAttempts: 3 });
+  assert.equal(await sender.send(WEBHOOK, TASK), false);
+  assert.equal(requests.length, 3);
+});
+
+test('does not retry other 4xx responses', async (t) => {
+  const { sender, requests } = createSender(t, [404]);
+  assert.equal(await sender.send(WEBHOOK, TASK), false);
+  assert.equal(requests.length, 1);
+});
+
+test('makes no attempt past the deadline, nor a retry whose backoff ends after it', async (t) => {
+  const { sender, requests } = createSender(t, [503, 503], { initialDelayMs: 1000, maxAttempts: 3 });
+  assert.equal(await sender.send(WEBHOOK, TASK, Date.now() - 1), false);
+  assert.equal(requests.length, 0);
+
+  const started = Date.now();
+  assert.equal(await sender.send(WEBHOOK, TASK, Date.now() + 500), false);
+  assert.equal(requests.length, 1);
+  assert.ok(Date.now() - started < 500);
+});
+
+test('message/send notifies the webhook of each state change after the reply', async (t) => {
+  const { sender, requests } = createSender(t, []);
+  const adapter = createAdapter({ pushSender: sender });
+  const { response, payload } = await call(adapter, {
+    jsonrpc: '2.0', id: 1, method: 'message/send',
+    params: { message: userMessage('cardiologists in 98052'), configuration: { pushNotificationConfig: WEBHOOK } }
+  });
+
+  assert.equal(payload.result.status.state, 'completed');
+  await response.pending;
+  assert.deepEqual(requests.map(request => request.body.status.state), ['working', 'completed']);
+  assert.ok(requests.every(request => request.body.id === payload.result.id));
+});
+
+test('tasks/pushNotificationConfig/set and get store the webhook of a task', async () => {
+  const adapter = createAdapter();
+  const { payload: sent } = await call(adapter, {
+    jsonrpc: '2.0', id: 1, method: 'message/send', params: { message: userMessage('cardiologists in 98052') }
+  });
+  const taskId = sent.result.id;
+
+  const { payload: unset } = await call(adapter, {
+    jsonrpc: '2.0', id: 2, method: 'tasks/pushNotificationConfig/get', params: { id: taskId }
+  });
+  assert.ok(unset.error);
+
+  const { payload: set } = await call(adapter, {
+    jsonrpc: '2.0', id: 3, method: 'tasks/pushNotificationConfig/set', params: { taskId, pushNotificationConfig: WEBHOOK }
+  });
+  assert.deepEqual(set.result, { taskId, pushNotificationConfig: WEBHOOK });
+
+  const { payload: got } = await call(adapter, {
+    jsonrpc: '2.0', id: 4, method: 'tasks/pushNotificationConfig/get', params: { id: taskId }
+  });
+  assert.deepEqual(got.result.pushNotificationConfig, WEBHOOK);
+
+  const { payload: internal } = await call(adapter, {
+    jsonrpc: '2.0', id: 5, method: 'tasks/pushNotificationConfig/set',
+    params: { taskId, pushNotificationConfig: { url: 'https://127.0.0.1/hook' } }
+  });
+  assert.equal(internal.error.code, -32602);
+});
+
+test('buffered mode refuses push notifications instead of holding the reply for the webhook', async (t) => {
+  const { sender, requests } = createSender(t, []);
+  const adapter = createAdapter({ pushSender: sender, responseStreaming: false });
+
+  const { payload } = await call(adapter, [
+    {
+      jsonrpc: '2.0', id: 'send', method: 'message/send',
+      params: { message: userMessage('cardiologists in 98052'), configuration: { pushNotificationConfig: WEBHOOK } }
+    },
+    { jsonrpc: '2.0', id: 'set', method: 'tasks/pushNotificationConfig/set', params: { taskId: 'task-1', pushNotificationConfig: WEBHOOK } },
+    { jsonrpc: '2.0', id: 'get', method: 'tasks/pushNotificationConfig/get', params: { id: 'task-1' } }
+  ]);
+  assert.deepEqual(payload.map(reply => [reply.id, reply.error?.code]), [['send', -32003], ['set', -32003], ['get', -32003]]);
+
+  // A webhook stored by a streaming deployment sharing the task store is left alone
+  const { payload: sent } = await call(adapter, { jsonrpc: '2.0', id: 1, method: 'message/send', params: { message: userMessage('cardiologists in 98052') } });
+  await adapter.taskStore.savePushConfig(sent.result.id, WEBHOOK);
+  await adapter.notifyStateChange(sent.result);
+  assert.equal(requests.length, 0);
+});
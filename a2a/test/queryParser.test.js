@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDoctorQuery } from '../src/queryParser.js';
+import { validateSearchParams, validateSpecialtyListFilter } from '../src/searchSchema.js';
+
+test('reads names, city and state', () => {
+  const { params } = parseDoctorQuery('Dr. Maria Lopez in Seattle, WA');
+  assert.deepEqual(params, { firstname: 'Maria', lastname: 'Lopez', city: 'Seattle', state: 'WA' });
+});
+
+test('keeps the 5-digit part of ZIP+4 codes and reads the gender', () => {
+  const { params } = parseDoctorQuery('female family medicine doctors in 98052-1234');
+  assert.deepEqual(params, { zipcode: '98052', gender: 'female' });
+});
+
+test('reads radius searches in miles and kilometers', () => {
+  assert.deepEqual(parseDoctorQuery('Pediatricians within 5 miles of 90210').params, { radius: 5, zipcode: '90210' });
+  assert.equal(parseDoctorQuery('10 km from 98052').params.radius, 6.2);
+  assert.equal(parseDoctorQuery('near 90210').params.radius, 10);
+});
+
+test('reads lowercase places after "in"', () => {
+  assert.deepEqual(parseDoctorQuery('doctors in seattle').params, { city: 'Seattle' });
+  assert.deepEqual(parseDoctorQuery('cardiologist in san diego').params, { city: 'San Diego' });
+});
+
+test('reads lowercase names after a title', () => {
+  assert.deepEqual(parseDoctorQuery('dr smith in 98052').params, { zipcode: '98052', lastname: 'smith' });
+  assert.deepEqual(parseDoctorQuery('dr john smith in 98052').params, { zipcode: '98052', firstname: 'john', lastname: 'smith' });
+  assert.deepEqual(parseDoctorQuery('dr smith office hours').params, { lastname: 'smith' });
+});
+
+test('does not read a stop word after a title as a name', () => {
+  assert.deepEqual(parseDoctorQuery('doctor in seattle').params, { city: 'Seattle' });
+  assert.deepEqual(parseDoctorQuery('doctor near me').params, {});
+});
+
+test('does not join words across a consumed fragment', () => {
+  assert.deepEqual(parseDoctorQuery('doctors in 98052 accepting medicaid').params, { zipcode: '98052' });
+});
+
+test('reports state names that are also cities', () => {
+  const { params, ambiguities } = parseDoctorQuery('doctors in New York');
+  assert.deepEqual(params, { city: 'New York' });
+  assert.equal(ambiguities.length, 1);
+});
+
+test('reports conflicting genders instead of filtering', () => {
+  const { params, ambiguities } = parseDoctorQuery('male or female doctors in 10001');
+  assert.equal(params.gender, undefined);
+  assert.equal(ambiguities.length, 1);
+});
+
+test('reads a bare word as a last name only in follow-ups', () => {
+  assert.deepEqual(parseDoctorQuery('Smith', { followUp: true }).params, { lastname: 'Smith' });
+  assert.deepEqual(parseDoctorQuery('Smith').params, {});
+  assert.deepEqual(parseDoctorQuery('seattle, wa', { followUp: true }).params, { city: 'Seattle', state: 'WA' });
+});
+
+test('records the fragment each parameter was read from', () => {
+  const { interpretation } = parseDoctorQuery('Find doctors named Smith in 10001');
+  assert.deepEqual(interpretation, [
+    { field: 'zipcode', value: '10001', text: '10001' },
+    { field: 'lastname', value: 'Smith', text: 'Smith' }
+  ]);
+});
+
+test('structured searches accept ZIP+4 codes and keep their 5 digits', () => {
+  assert.deepEqual(validateSearchParams({ zipcode: '98052-1234' }).params, { zipcode: '98052' });
+  assert.deepEqual(validateSearchParams({ zipcode: ' 98052 ' }).params, { zipcode: '98052' });
+  assert.deepEqual(validateSearchParams({ zipcode: 2134 }).params, { zipcode: '02134' });
+  assert.deepEqual(validateSpecialtyListFilter({ zipcode: '98052-1234' }).params, { zipcode: '98052' });
+  for (const zipcode of ['98052-12', '980521234', '123456', 'abcde']) {
+    assert.deepEqual(validateSearchParams({ zipcode }).errors, ['zipcode: must be a 5-digit zipcode or ZIP+4']);
+  }
+});
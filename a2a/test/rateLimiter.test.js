@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter } from '../src/rateLimiter.js';
+import { InMemoryTaskStore, takeToken } from '../src/taskStore.js';
+import { setLogLevel } from '../src/logger.js';
+
+setLogLevel('error');
+
+function eventFrom(sourceIp) {
+  return { requestContext: { http: { sourceIp } } };
+}
+
+test('a token bucket allows a burst, then one request per interval', () => {
+  const bucket = { capacity: 2, intervalMs: 1000 };
+  let state = takeToken(0, bucket, 10000);
+  assert.equal(state.allowed, true);
+  state = takeToken(state.tat, bucket, 10000);
+  assert.equal(state.allowed, true);
+
+  const refused = takeToken(state.tat, bucket, 10000);
+  assert.deepEqual(refused, { allowed: false, tat: state.tat, retryAfterMs: 1000 });
+  assert.equal(takeToken(state.tat, bucket, 11000).allowed, true);
+});
+
+test('allows every request without limits', async () => {
+  const limiter = new RateLimiter(null, new InMemoryTaskStore());
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await limiter.check('anonymous', eventFrom('10.0.0.1'))).allowed, true);
+  }
+});
+
+test('refuses requests over the rate with a retry delay', async () => {
+  const limiter = new RateLimiter({ default: { requestsPerSecond: 1, burst: 2 } }, new InMemoryTaskStore());
+  const event = eventFrom('10.0.0.1');
+  assert.equal((await limiter.check('anonymous', event)).allowed, true);
+  assert.equal((await limiter.check('anonymous', event)).allowed, true);
+
+  const refused = await limiter.check('anonymous', event);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.limit, 'rate');
+  assert.equal(refused.client, 'ip:10.0.0.1');
+  assert.ok(refused.retryAfterSeconds >= 1);
+
+  // Other clients have their own bucket
+  assert.equal((await limiter.check('anonymous', eventFrom('10.0.0.2'))).allowed, true);
+});
+
+test('refuses requests over the daily quota', async () => {
+  const limiter = new RateLimiter({ default: { dailyQuota: 2 } }, new InMemoryTaskStore());
+  await limiter.check('apikey:partner', eventFrom('10.0.0.1'));
+  await limiter.check('apikey:partner', eventFrom('10.0.0.2'));
+
+  const refused = await limiter.check('apikey:partner', eventFrom('10.0.0.3'));
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.limit, 'quota');
+  assert.equal(refused.client, 'apikey:partner');
+});
+
+test('merges client limits over the default ones', () => {
+  const limiter = new RateLimiter({
+    default: { requestsPerSecond: 1, dailyQuota: 100 },
+    clients: { 'apikey:partner': { requestsPerSecond: 10 } }
+  }, new InMemoryTaskStore());
+  assert.deepEqual(limiter.limitsFor('apikey:partner'), { requestsPerSecond: 10, dailyQuota: 100 });
+  assert.deepEqual(limiter.limitsFor('ip:10.0.0.1'), { requestsPerSecond: 1, dailyQuota: 100 });
+});
+
+test('lets requests through when the store fails', async () => {
+  const failingStore = {
+    takeRateToken: async () => { throw new Error('store down'); },
+    incrementCounter: async () => { throw new Error('store down'); }
+  };
+  const limiter = new RateLimiter({ default: { requestsPerSecond: 1, dailyQuota: 1 } }, failingStore);
+  assert.equal((await limiter.check('anonymous', eventFrom('10.0.0.1'))).allowed, true);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpecialtyResolver, normalizeSpecialty } from '../src/specialtyResolver.js';
+import { MemoryDatastore } from '../src/datastore.js';
+import { DoctorSearchExecutor } from '../src/DoctorSearchExecutor.js';
+import { setLogLevel } from '../src/logger.js';
+import { createAdapter, call, userMessage } from './adapterHelpers.js';
+
+setLogLevel('error');
+
+const TAXONOMY = [
+  { Classification: 'Family Medicine', Specialization: null },
+  { Classification: 'Internal Medicine', Specialization: 'Cardiovascular Disease' },
+  { Classification: 'Orthopaedic Surgery', Specialization: 'Sports Medicine' },
+  { Classification: 'Otolaryngology', Specialization: null },
+  { Classification: 'Pediatrics', Specialization: null },
+  { Classification: 'Urology', Specialization: null }
+];
+
+function createResolver() {
+  return new SpecialtyResolver(async () => ({ statusCode: 200, result: TAXONOMY }));
+}
+
+test('normalizes case, plurals, possessives and ampersands', () => {
+  assert.equal(normalizeSpecialty("Children's Doctors"), 'children doctor');
+  assert.equal(normalizeSpecialty('Obstetrics & Gynecology'), 'obstetric and gynecology');
+});
+
+test('resolves lay terms', async () => {
+  assert.deepEqual(await createResolver().resolve('heart doctors'), {
+    requested: 'heart doctors',
+    classification: 'Internal Medicine',
+    specialization: 'Cardiovascular Disease',
+    matchedBy: 'lay-term'
+  });
+});
+
+test('resolves classifications, specializations and practitioner names', async () => {
+  const resolver = createResolver();
+  assert.equal((await resolver.resolve('pediatrics')).matchedBy, 'classification');
+  assert.equal((await resolver.resolve('sports medicine')).classification, 'Orthopaedic Surgery');
+  assert.equal((await resolver.resolve('urologists')).classification, 'Urology');
+  assert.equal((await resolver.resolve('orthopaedic')).matchedBy, 'partial-classification');
+  assert.equal(await resolver.resolve('astrology'), null);
+});
+
+test('resolves abbreviations given as the whole specialty', async () => {
+  const resolver = createResolver();
+  assert.equal((await resolver.resolve('GP')).classification, 'Family Medicine');
+  assert.equal((await resolver.resolve('ENT doctor')).classification, 'Otolaryngology');
+  assert.equal((await resolver.resolve('pt')).classification, 'Physical Therapist');
+});
+
+test('finds the longest specialty in free text', async () => {
+  const resolver = createResolver();
+  assert.equal(await resolver.findInText('find cardiologists in 98052'), 'cardiologist');
+  assert.equal(await resolver.findInText('sports medicine doctors in Seattle'), 'sport medicine');
+});
+
+test('leaves abbreviations out of free text', async () => {
+  const resolver = createResolver();
+  assert.equal(await resolver.findInText('find a gp in 98052'), undefined);
+  assert.equal(await resolver.findInText('doctors open until 5 pt in Portland'), undefined);
+  assert.equal(await resolver.findInText('an ent in Seattle'), undefined);
+});
+
+test('falls back to lay terms when the taxonomy is unavailable', async () => {
+  const resolver = new SpecialtyResolver(async () => ({ statusCode: 500, result: 'down' }));
+  assert.equal((await resolver.resolve('dermatologist')).classification, 'Dermatology');
+  assert.equal(await resolver.resolve('pediatrics'), null);
+});
+
+test('adds the speciality classifications to the taxonomy', async () => {
+  const datastore = new MemoryDatastore({}, {
+    taxonomy: [{ Classification: 'Internal Medicine', Specialization: 'Nephrology' }],
+    speciality: [{ Classification: 'Ophthalmology' }]
+  });
+  const resolver = new SpecialtyResolver(async () => ({ statusCode: 200, result: await datastore.listTaxonomy() }));
+
+  assert.equal((await resolver.resolve('nephrology')).classification, 'Internal Medicine');
+  assert.deepEqual(await resolver.resolve('ophthalmology'), {
+    requested: 'ophthalmology',
+    classification: 'Ophthalmology',
+    matchedBy: 'classification'
+  });
+});
+
+test('searches and reports a specialization as its whole classification', async () => {
+  const adapter = createAdapter({ executor: new DoctorSearchExecutor() });
+  const { payload } = await call(adapter, {
+    jsonrpc: '2.0', id: 1, method: 'message/send', params: { message: userMessage('cardiologists in Seattle') }
+  });
+
+  const { data } = payload.result.artifacts[0].parts[0];
+  assert.deepEqual(data.specialty, { requested: 'cardiologist', classification: 'Internal Medicine', matchedBy: 'lay-term' });
+  assert.ok(data.doctors.length > 0);
+  assert.ok(data.doctors.every(doctor => doctor.classification === 'Internal Medicine'));
+  assert.doesNotMatch(payload.result.history.at(-1).parts[0].text, /Cardiovascular/);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ExecutionEventQueue, formatSseEvent, bufferStreamingResponse, isStreamingResponse } from '../src/streaming.js';
+import { setLogLevel } from '../src/logger.js';
+import { createAdapter, call, readEvents, userMessage } from './adapterHelpers.js';
+
+setLogLevel('error');
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+test('an event queue yields events in order until it is closed', async () => {
+  const queue = new ExecutionEventQueue();
+  queue.publish({ n: 1 });
+  const items = collect(queue);
+  queue.publish({ n: 2 });
+  setTimeout(() => {
+    queue.publish({ n: 3 });
+    queue.close();
+    queue.publish({ n: 4 });
+  }, 5);
+
+  assert.deepEqual(await items, [{ n: 1 }, { n: 2 }, { n: 3 }]);
+});
+
+test('formats a payload as one SSE data event', () => {
+  assert.equal(formatSseEvent({ id: 1, result: 'a\nb' }), 'data: {"id":1,"result":"a\\nb"}\n\n');
+});
+
+test('buffers a streaming response into an SSE body', async () => {
+  async function* events() {
+    yield { id: 1 };
+    yield { id: 2 };
+  }
+  const response = { statusCode: 200, headers: { 'Content-Type': 'text/event-stream' }, events: events() };
+
+  assert.equal(isStreamingResponse(response), true);
+  assert.deepEqual(await bufferStreamingResponse(response), {
+    statusCode: 200,
+    headers: { 'Content-Type': 'text/event-stream' },
+    body: 'data: {"id":1}\n\ndata: {"id":2}\n\n'
+  });
+});
+
+test('message/stream sends the task, its updates and a final status', async () => {
+  const adapter = createAdapter();
+  const { response } = await call(adapter, {
+    jsonrpc: '2.0', id: 7, method: 'message/stream', params: { message: userMessage('cardiologists in 98052') }
+  });
+
+  assert.equal(response.headers['Content-Type'], 'text/event-stream');
+  const events = await readEvents(response);
+  await response.pending;
+
+  assert.deepEqual(events.map(event => event.kind), ['task', 'status-update', 'artifact-update', 'status-update']);
+  assert.equal(events[0].status.state, 'submitted');
+  assert.deepEqual([events[1].status.state, events[1].final], ['working', false]);
+  assert.equal(events[2].artifact.artifactId, 'artifact-1');
+  assert.deepEqual([events[3].status.state, events[3].final], ['completed', true]);
+  assert.equal(events[3].status.message.role, 'agent');
+  assert.ok(events.every(event => (event.taskId || event.id) === events[0].id));
+
+  const stored = await adapter.taskStore.load(events[0].id);
+  assert.equal(stored.status.state, 'completed');
+});
+
+test('message/stream ends with a failed status when the executor throws', async () => {
+  const adapter = createAdapter({ executor: { execute: async () => { throw new Error('boom'); } } });
+  const { response } = await call(adapter, {
+    jsonrpc: '2.0', id: 1, method: 'message/stream', params: { message: userMessage('hello') }
+  });
+
+  const events = await readEvents(response);
+  assert.deepEqual(events.map(event => event.kind), ['task', 'status-update']);
+  assert.deepEqual([events[1].status.state, events[1].final], ['failed', true]);
+});
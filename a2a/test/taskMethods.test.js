@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setLogLevel } from '../src/logger.js';
+import { createAdapter, call, readEvents, userMessage, ScriptedExecutor } from './adapterHelpers.js';
+
+setLogLevel('error');
+
+async function sendMessage(adapter, text, configuration) {
+  const { response, payload } = await call(adapter, {
+    jsonrpc: '2.0', id: 1, method: 'message/send', params: { message: userMessage(text), configuration }
+  });
+  return { pending: response.pending, task: payload.result };
+}
+
+test('tasks/resubscribe sends a finished task once and ends', async () => {
+  const adapter = createAdapter();
+  const { task } = await sendMessage(adapter, 'family medicine in 98052');
+
+  const { response } = await call(adapter, { jsonrpc: '2.0', id: 2, method: 'tasks/resubscribe', params: { id: task.id } });
+  const events = await readEvents(response);
+  assert.deepEqual(events.map(event => [event.kind, event.status?.state]), [['task', 'completed']]);
+});
+
+test('tasks/resubscribe follows a working task to its final status', async () => {
+  const adapter = createAdapter({ executor: new ScriptedExecutor({ delayMs: 200 }) });
+  const { task, pending } = await sendMessage(adapter, 'family medicine in 98052', { blocking: false });
+  assert.equal(task.status.state, 'working');
+
+  const { response } = await call(adapter, { jsonrpc: '2.0', id: 2, method: 'tasks/resubscribe', params: { id: task.id } });
+  const events = await readEvents(response);
+  await pending;
+
+  assert.deepEqual(events.map(event => event.kind), ['task', 'artifact-update', 'status-update']);
+  assert.equal(events[0].id, task.id);
+  assert.deepEqual([events[2].status.state, events[2].final], ['completed', true]);
+});
+
+test('tasks/resubscribe answers unknown tasks with an error', async () => {
+  const { payload } = await call(createAdapter(), { jsonrpc: '2.0', id: 1, method: 'tasks/resubscribe', params: { id: 'task-unknown' } });
+  assert.equal(payload.error.code, -32001);
+});
+
+test('historyLength keeps the latest messages of the history', async () => {
+  const adapter = createAdapter();
+  const { task } = await sendMessage(adapter, 'family medicine in 98052', { historyLength: 1 });
+  assert.deepEqual(task.history.map(message => message.role), ['agent']);
+
+  const get = async (historyLength) => {
+    const { payload } = await call(adapter, { jsonrpc: '2.0', id: 2, method: 'tasks/get', params: { id: task.id, historyLength } });
+    return payload.result.history.map(message => message.role);
+  };
+  assert.deepEqual(await get(undefined), ['user', 'agent']);
+  assert.deepEqual(await get(0), []);
+  assert.deepEqual(await get(1), ['agent']);
+  assert.deepEqual(await get(10), ['user', 'agent']);
+});
+
+test('buffered mode refuses tasks/resubscribe and non-blocking message/send', async () => {
+  const adapter = createAdapter({ responseStreaming: false });
+  const { task } = await sendMessage(adapter, 'family medicine in 98052');
+  assert.equal(task.status.state, 'completed');
+
+  const { payload: resubscribed } = await call(adapter, { jsonrpc: '2.0', id: 2, method: 'tasks/resubscribe', params: { id: task.id } });
+  assert.equal(resubscribed.error.code, -32004);
+
+  const { payload: nonBlocking } = await call(adapter, {
+    jsonrpc: '2.0', id: 3, method: 'message/send',
+    params: { message: userMessage('family medicine in 98052'), configuration: { blocking: false } }
+  });
+  assert.equal(nonBlocking.error.code, -32004);
+});
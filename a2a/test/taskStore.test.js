@@ -0,0 +1,159 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { InMemoryTaskStore, SqliteTaskStore, createTaskStore } from '../src/taskStore.js';
+import { RequestAuthenticator } from '../src/auth.js';
+import { setLogLevel } from '../src/logger.js';
+import { createAdapter, call, userMessage, ScriptedExecutor } from './adapterHelpers.js';
+
+setLogLevel('error');
+
+const hasSqlite = await import('node:sqlite').then(() => true, () => false);
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'healthylinkx-tasks-'));
+
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const BACKENDS = [
+  { name: 'memory', create: () => new InMemoryTaskStore() },
+  { name: 'sqlite', create: () => new SqliteTaskStore(path.join(directory, 'tasks.db')), skip: !hasSqlite && 'needs node:sqlite (Node 22.13+)' }
+];
+
+function createTask(id, contextId, state) {
+  return { kind: 'task', id, contextId, status: { state, timestamp: new Date().toISOString() }, history: [] };
+}
+
+for (const backend of BACKENDS) {
+  test(`${backend.name} store round-trips tasks and push configs`, { skip: backend.skip }, async () => {
+    const store = backend.create();
+    const task = createTask('task-1', 'ctx-1', 'completed');
+    task.artifacts = [{ artifactId: 'a', parts: [{ kind: 'data', data: { doctors: [{ npi: 1 }] } }] }];
+
+    assert.equal(await store.load('task-1'), undefined);
+    await store.save(task);
+    assert.deepEqual(await store.load('task-1'), task);
+
+    await store.save({ ...task, status: { ...task.status, state: 'canceled' } });
+    assert.equal((await store.load('task-1')).status.state, 'canceled');
+
+    await store.savePushConfig('task-1', { url: 'https://client.example.com/hook', token: 't' });
+    assert.deepEqual(await store.loadPushConfig('task-1'), { url: 'https://client.example.com/hook', token: 't' });
+    assert.equal(await store.loadPushConfig('task-2'), undefined);
+    await store.checkHealth();
+  });
+
+  test(`${backend.name} store finds the tasks of a context, latest first`, { skip: backend.skip }, async () => {
+    const store = backend.create();
+    await store.save(createTask('task-a', 'ctx-2', 'completed'));
+    await store.save(createTask('task-b', 'ctx-2', 'input-required'));
+    await store.save(createTask('task-c', 'ctx-3', 'completed'));
+    await store.save(createTask('task-a', 'ctx-2', 'completed'));
+
+    assert.deepEqual((await store.findByContextId('ctx-2')).map(task => task.id), ['task-a', 'task-b']);
+    assert.deepEqual(await store.findByContextId('ctx-4'), []);
+  });
+}
+
+test('tasks/get and tasks/cancel see tasks saved by another adapter sharing the store', async () => {
+  const taskStore = new InMemoryTaskStore();
+  const { payload: sent } = await call(createAdapter({ taskStore }), {
+    jsonrpc: '2.0', id: 1, method: 'message/send', params: { message: userMessage('cardiologists in 98052') }
+  });
+  const taskId = sent.result.id;
+
+  const other = createAdapter({ taskStore });
+  const { payload: got } = await call(other, { jsonrpc: '2.0', id: 2, method: 'tasks/get', params: { id: taskId } });
+  assert.equal(got.result.status.state, 'completed');
+  assert.equal(got.result.artifacts.length, 1);
+
+  const { payload: canceled } = await call(other, { jsonrpc: '2.0', id: 3, method: 'tasks/cancel', params: { id: taskId } });
+  assert.equal(canceled.error.code, -32002);
+
+  const { payload: missing } = await call(other, { jsonrpc: '2.0', id: 4, method: 'tasks/get', params: { id: 'task-unknown' } });
+  assert.equal(missing.error.code, -32001);
+});
+
+test('createTaskStore refuses sqlite without node:sqlite', () => {
+  const create = () => createTaskStore({ type: 'sqlite', filename: path.join(directory, 'created.db') });
+  if (hasSqlite) {
+    assert.ok(create() instanceof SqliteTaskStore);
+  } else {
+    assert.throws(create, /needs node:sqlite/);
+  }
+});
+
+test('tasks/cancel cancels a working task, and the late result does not overwrite it', async () => {
+  const adapter = createAdapter({ executor: new ScriptedExecutor({ delayMs: 50 }) });
+  const { response, payload } = await call(adapter, {
+    jsonrpc: '2.0', id: 1, method: 'message/send',
+    params: { message: userMessage('cardiologists in 98052'), configuration: { blocking: false } }
+  });
+  assert.equal(payload.result.status.state, 'working');
+
+  const { payload: canceled } = await call(adapter, { jsonrpc: '2.0', id: 2, method: 'tasks/cancel', params: { id: payload.result.id } });
+  assert.equal(canceled.result.status.state, 'canceled');
+
+  await response.pending;
+  assert.equal((await adapter.taskStore.load(payload.result.id)).status.state, 'canceled');
+});
+
+test('generates task ids, ignoring the id a client sends', async () => {
+  const adapter = createAdapter();
+  const send = async (id) => {
+    const { payload } = await call(adapter, {
+      jsonrpc: '2.0', id, method: 'message/send', params: { id: 'task-chosen', message: userMessage('cardiologists in 98052') }
+    });
+    return payload.result;
+  };
+
+  const first = await send(1);
+  const second = await send(2);
+  assert.notEqual(first.id, 'task-chosen');
+  assert.notEqual(second.id, first.id);
+  assert.equal((await adapter.taskStore.load(first.id)).status.state, 'completed');
+});
+
+test('only shows a task to the principal that created it', async () => {
+  const authenticator = new RequestAuthenticator({
+    apiKey: { keys: [{ name: 'alice', key: 'key-alice' }, { name: 'bob', key: 'key-bob' }] }
+  });
+  const adapter = createAdapter({ executor: new ScriptedExecutor({ state: 'input-required' }), authenticator });
+  const alice = { 'x-api-key': 'key-alice' };
+  const bob = { 'x-api-key': 'key-bob' };
+
+  const { payload: sent } = await call(adapter, {
+    jsonrpc: '2.0', id: 1, method: 'message/send', params: { message: userMessage('find me a doctor') }
+  }, alice);
+  const task = sent.result;
+  assert.equal(task.owner, undefined);
+
+  const { payload: own } = await call(adapter, { jsonrpc: '2.0', id: 2, method: 'tasks/get', params: { id: task.id } }, alice);
+  assert.equal(own.result.id, task.id);
+  assert.equal(own.result.owner, undefined);
+
+  const { payload: errors } = await call(adapter, [
+    { jsonrpc: '2.0', id: 'get', method: 'tasks/get', params: { id: task.id } },
+    { jsonrpc: '2.0', id: 'cancel', method: 'tasks/cancel', params: { id: task.id } },
+    { jsonrpc: '2.0', id: 'pushGet', method: 'tasks/pushNotificationConfig/get', params: { id: task.id } },
+    {
+      jsonrpc: '2.0', id: 'pushSet', method: 'tasks/pushNotificationConfig/set',
+      params: { taskId: task.id, pushNotificationConfig: { url: 'https://example.com/hook' } }
+    },
+    { jsonrpc: '2.0', id: 'continue', method: 'message/send', params: { message: userMessage('in 98052', { taskId: task.id }) } }
+  ], bob);
+  assert.deepEqual(errors.map(reply => [reply.id, reply.error?.code]), [
+    ['get', -32001], ['cancel', -32001], ['pushGet', -32001], ['pushSet', -32001], ['continue', -32001]
+  ]);
+
+  // Bob's message in Alice's context starts a task of his own instead of answering hers
+  const { payload: inContext } = await call(adapter, {
+    jsonrpc: '2.0', id: 3, method: 'message/send', params: { message: userMessage('in 98052', { contextId: task.contextId }) }
+  }, bob);
+  assert.notEqual(inContext.result.id, task.id);
+
+  const { payload: resubscribed } = await call(adapter, { jsonrpc: '2.0', id: 4, method: 'tasks/resubscribe', params: { id: task.id } }, bob);
+  assert.equal(resubscribed.error.code, -32001);
+});
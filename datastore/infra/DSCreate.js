@@ -15,17 +15,19 @@ import * as fs from 'fs';
 import * as path from 'path';
 import { fileURLToPath } from 'url';
 import AdmZip from 'adm-zip';
+import { loadConfig, checkDatastoreCredentials, resolveDatastoreCredentials } from '../../a2a/src/config.js';
 
-// Read the config file
+// The master password of the new instance comes from HEALTHYLINKX_DB_PASSWORD or the secret, not config.json
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const configPath = path.join(__dirname, '../..', 'config.json')
-const rawConfig = fs.readFileSync(configPath);
-const config = JSON.parse(rawConfig);
+const config = loadConfig(path.join(__dirname, '../..', 'config.json'));
+// the loader leaves the credentials to the scripts that connect, this one always does
+checkDatastoreCredentials(config.datastore);
 
 // Extract configurations
-const DBUSER = config.datastore.user;
-const DBPWD = config.datastore.passwd;
+// credentials come from config.json, the environment or a Secrets Manager secret
+const { user: DBUSER, password: DBPWD } = await resolveDatastoreCredentials(config.datastore);
+const ZIPCENTROIDSURL = config.datastore.zipCentroidsUrl;
 
 // ======== helper function ============
 function sleep(secs) {
@@ -86,6 +88,65 @@ async function LoadData() {
 	}
 }
 
+// ====== load ZIP code centroids for distance searches =====
+// source: Census Gazetteer ZCTA file, tab separated GEOID ... INTPTLAT INTPTLONG
+async function LoadZipCentroids() {
+	try{
+		// Create an RDS client service object
+		const rdsclient = new RDSClient({});
+
+		//URL of the instance
+		const data = await rdsclient.send(new DescribeDBInstancesCommand({
+			DBInstanceIdentifier: 'healthylinkx-db'}));
+		const endpoint = data.DBInstances[0].Endpoint.Address;
+
+		// download and unzip the gazetteer file
+		const response = await fetch(ZIPCENTROIDSURL);
+		if (!response.ok) throw new Error("Download failed with status " + response.status);
+		const zip = new AdmZip(Buffer.from(await response.arrayBuffer()));
+		const lines = zip.getEntries()[0].getData().toString('utf8').trim().split('\n');
+
+		// locate the columns by name, the header has trailing spaces
+		const header = lines[0].split('\t').map(column => column.trim());
+		const zipColumn = header.indexOf('GEOID');
+		const latColumn = header.indexOf('INTPTLAT');
+		const lonColumn = header.indexOf('INTPTLONG');
+		const rows = lines.slice(1).map(line => {
+			const columns = line.split('\t');
+			return [columns[zipColumn].trim(), parseFloat(columns[latColumn]), parseFloat(columns[lonColumn])];
+		});
+		console.log("ZIP centroids ready for import: " + rows.length);
+
+        // Create connection
+        const connection = await mysql.createConnection({
+            host: endpoint,
+            user: DBUSER,
+            password: DBPWD,
+            database: "healthylinkx"
+		});
+
+		await connection.query({ sql: 'DROP TABLE IF EXISTS `zipcodes`;', timeout: 90000});
+		await connection.query({ sql: 'CREATE TABLE `zipcodes` (' +
+			'`zipcode` CHAR(5) NOT NULL PRIMARY KEY, ' +
+			'`latitude` DOUBLE NOT NULL, ' +
+			'`longitude` DOUBLE NOT NULL, ' +
+			'KEY `idx_zipcodes_location` (`latitude`, `longitude`));', timeout: 90000});
+
+		// insert in batches to keep statements small
+		for (let i = 0; i < rows.length; i += 5000) {
+			await connection.query({ sql: 'INSERT INTO `zipcodes` (`zipcode`, `latitude`, `longitude`) VALUES ?', timeout: 90000},
+				[rows.slice(i, i + 5000)]);
+		}
+
+       // Close the connection
+        await connection.end();
+
+		console.log("Success. zipcodes populated with data.");
+	} catch (err) {
+		console.log("Error loading ZIP centroids: ", err);
+	}
+}
+
 async function DSCreate() {
 	try {
 		// Create an RDS client service object
@@ -156,6 +217,7 @@ async function DSCreate() {
 async function main () {
 	await DSCreate();
 	await LoadData();
+	await LoadZipCentroids();
 }
 
 main();
@@ -1,19 +1,26 @@
 set -x
 
+#environment variables overriding config.json (see a2a/src/config.js)
+CONFIG_ENV="-e HEALTHYLINKX_DATASTORE_TYPE -e HEALTHYLINKX_DB_HOST -e HEALTHYLINKX_DB_USER \
+	-e HEALTHYLINKX_DB_PASSWORD -e HEALTHYLINKX_DB_SECRET_ID -e HEALTHYLINKX_CACHE_TYPE -e A2A_INVOKE_MODE -e A2A_TASK_STORE_TYPE \
+	-e A2A_INTENT_EXTRACTOR_TYPE -e A2A_AUTH_SECRET_ID -e A2A_METRICS_EMF -e A2A_HEALTH_TIMEOUT_MS -e A2A_DEBUG"
+
+#the config loader in a2a/src is shared by every script
+cp config.json ./a2a/src
+docker run --rm -w /repo/a2a/src -v $(pwd):/repo node:22 npm install
+
 #build and deploy the datastore in AWS
 docker run --rm -w /repo/datastore/infra -v $(pwd):/repo node:22 npm install
 docker run --rm -w /repo/datastore/infra -v $(pwd):/repo \
 	-e AWS_ACCESS_KEY_ID -e AWS_SECRET_ACCESS_KEY -e AWS_ACCOUNT_ID \
-	-e AWS_REGION -e AWS_DEFAULT_REGION -e AWS_SESSION_TOKEN \
+	-e AWS_REGION -e AWS_DEFAULT_REGION -e AWS_SESSION_TOKEN $CONFIG_ENV \
     node:22 node DSCreate.js
 
 #build and deploy the a2a server (Lambda) in AWS
-cp config.json ./a2a/src
 docker run --rm -w /repo/a2a/infra -v $(pwd):/repo node:22 npm install
-docker run --rm -w /repo/a2a/src -v $(pwd):/repo node:22 npm install
 docker run --rm -w /repo/a2a/infra -v $(pwd):/repo \
 	-e AWS_ACCESS_KEY_ID -e AWS_SECRET_ACCESS_KEY -e AWS_ACCOUNT_ID \
-	-e AWS_REGION -e AWS_DEFAULT_REGION -e AWS_SESSION_TOKEN \
+	-e AWS_REGION -e AWS_DEFAULT_REGION -e AWS_SESSION_TOKEN $CONFIG_ENV \
     node:22 node deploy-a2a-lambda.js
 exit 
 
@@ -8,6 +8,8 @@ docker run --rm -w /repo/datastore/infra -v $(pwd):/repo \
     node:22 node DSDelete.js
 
 #remove the a2a server (Lambda) from AWS
+#the config loader in a2a/src validates config.json, no DB credentials needed
+docker run --rm -w /repo/a2a/src -v $(pwd):/repo node:22 npm install
 docker run --rm -w /repo/a2a/infra -v $(pwd):/repo node:22 npm install
 docker run --rm -w /repo/a2a/infra -v $(pwd):/repo \
 	-e AWS_ACCESS_KEY_ID -e AWS_SECRET_ACCESS_KEY -e AWS_ACCOUNT_ID \